@@ -0,0 +1,59 @@
+const User = require('../models/User');
+const { verifyAccessToken } = require('../services/authTokens');
+
+// Pull the bearer token from the Authorization header
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Resolve the user for a token, or null if the token is invalid
+async function resolveUser(token) {
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  const user = await User.findOne({ id: payload.sub });
+  if (!user || !user.isActive) return null;
+  return user;
+}
+
+// Requires a valid access token and sets req.user
+const authenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) return res.status(401).json({ error: 'Authentication required' });
+
+  try {
+    const user = await resolveUser(token);
+    if (!user) return res.status(401).json({ error: 'Invalid or expired token' });
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('authenticate error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Sets req.user when a valid token is present, but never rejects the request
+const optionalAuthenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) return next();
+
+  try {
+    const user = await resolveUser(token);
+    if (user) req.user = user;
+    next();
+  } catch (error) {
+    console.error('optionalAuthenticate error:', error.message);
+    next();
+  }
+};
+
+module.exports = authenticate;
+module.exports.optional = optionalAuthenticate;
+module.exports.resolveUser = resolveUser;
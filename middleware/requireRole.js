@@ -0,0 +1,83 @@
+const Activity = require('../models/Activity');
+const Sequence = require('../models/Sequence');
+const {
+  getActivityRole,
+  getSequenceRole,
+  hasSequenceCapability
+} = require('../services/permissions');
+
+// Must run after the authenticate middleware, which sets req.user.
+// Loads the activity from req.params.id and sets req.activity and req.activityRole.
+// When a capability is given, sequence facilitators need it to count as co-facilitators.
+const requireActivityRole = (allowedRoles, capability = null) => async (req, res, next) => {
+  try {
+    const activity = await Activity.findOne({ id: req.params.id });
+    if (!activity) {
+      return res.status(404).json({ success: false, error: 'Activity not found' });
+    }
+
+    const role = await getActivityRole(activity, req.user, capability);
+    if (!role || !allowedRoles.includes(role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to modify this activity'
+      });
+    }
+
+    req.activity = activity;
+    req.activityRole = role;
+    next();
+  } catch (error) {
+    console.error('requireActivityRole error:', error.message);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Loads the sequence from req.params.id and sets req.sequence and req.sequenceRole
+const requireSequenceRole = (allowedRoles) => async (req, res, next) => {
+  try {
+    const sequence = await Sequence.findOne({ id: req.params.id });
+    if (!sequence) {
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+
+    const role = getSequenceRole(sequence, req.user);
+    if (!role || !allowedRoles.includes(role)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this sequence' });
+    }
+
+    req.sequence = sequence;
+    req.sequenceRole = role;
+    next();
+  } catch (error) {
+    console.error('requireSequenceRole error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Loads the sequence and requires the user to hold a facilitator capability
+const requireSequenceCapability = (capability) => async (req, res, next) => {
+  try {
+    const sequence = await Sequence.findOne({ id: req.params.id });
+    if (!sequence) {
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+
+    if (!hasSequenceCapability(sequence, req.user, capability)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this sequence' });
+    }
+
+    req.sequence = sequence;
+    req.sequenceRole = getSequenceRole(sequence, req.user);
+    next();
+  } catch (error) {
+    console.error('requireSequenceCapability error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  requireActivityRole,
+  requireSequenceRole,
+  requireSequenceCapability
+};
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+// Previous versions kept per comment; the oldest are dropped beyond this
+const MAX_COMMENT_REVISIONS = 20;
+
+// Query value for entries in a round. Entries saved before rounds existed
+// have no round field and belong to round 1.
+const matchRound = (round) => (round === 1 ? { $in: [1, null] } : round);
+
 // Holoscopic Activity Schema - unified schema supporting multiple activity types
 const ActivitySchema = new mongoose.Schema({
   id: {
@@ -199,6 +206,55 @@ const ActivitySchema = new mongoose.Schema({
     default: true // Show center axis labels on map by default
   },
 
+  // Live drag preview: broadcast position_preview while participants move their object
+  livePreview: {
+    type: Boolean,
+    default: false
+  },
+
+  // Rounds: the same question asked again, e.g. before and after discussion.
+  // New ratings and comments belong to currentRound; earlier rounds are kept.
+  currentRound: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  rounds: [{
+    number: {
+      type: Number,
+      required: true
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+      default: ''
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    },
+    startedBy: {
+      type: String,
+      default: null
+    }
+  }],
+
+  // Whether votes on a comment survive when its author edits the comment or moves
+  // the rating. 'reset' returns the votes to the voters.
+  commentVotesOnEdit: {
+    type: String,
+    enum: ['reset', 'keep'],
+    default: 'reset'
+  },
+
+  // When participants see each other's ratings and comments (see services/revealPolicy.js)
+  revealPolicy: {
+    type: String,
+    enum: ['immediate', 'after_submit', 'on_facilitator_reveal', 'on_close'],
+    default: 'immediate'
+  },
+
   // Activity state
   status: {
     type: String,
@@ -212,6 +268,52 @@ const ActivitySchema = new mongoose.Schema({
     default: true
   },
 
+  // Facilitator controls for a live session (persisted so late joiners see the current phase)
+  liveSession: {
+    // false = participants place blind until the facilitator reveals
+    revealed: {
+      type: Boolean,
+      default: true
+    },
+    locked: {
+      type: Boolean,
+      default: false
+    },
+    timer: {
+      startedAt: {
+        type: Date,
+        default: null
+      },
+      endsAt: {
+        type: Date,
+        default: null
+      },
+      // Lock submissions once the countdown ends
+      lockOnEnd: {
+        type: Boolean,
+        default: false
+      }
+    },
+    spotlightCommentId: {
+      type: String,
+      default: null
+    },
+    updatedBy: {
+      type: String,
+      default: null
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Incremented on every versioned broadcast so reconnecting clients can resync
+  syncVersion: {
+    type: Number,
+    default: 0
+  },
+
   
   // Participant data (one record per user, slots tracked in ratings/comments)
   participants: [{
@@ -290,12 +392,58 @@ const ActivitySchema = new mongoose.Schema({
     },
     // Snapshot: which question this rating belongs to (null for other types)
     questionId: { type: String, required: false, default: null },
+    // Round the entry was made in (see currentRound)
+    round: { type: Number, default: 1 },
     timestamp: {
       type: Date,
       default: Date.now
     }
   }],
   
+  // Append-only log of every placement. ratings keeps only the latest per
+  // user/slot/question; this keeps how placements moved over time.
+  ratingHistory: [{
+    ratingId: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    username: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    objectName: {
+      type: String,
+      required: false,
+      trim: true
+    },
+    slotNumber: {
+      type: Number,
+      default: 1
+    },
+    questionId: { type: String, required: false, default: null },
+    // Round the entry was made in (see currentRound)
+    round: { type: Number, default: 1 },
+    position: {
+      x: {
+        type: Number,
+        required: true
+      },
+      y: {
+        type: Number,
+        required: true
+      }
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Comment data
   comments: [{
     id: {
@@ -333,6 +481,8 @@ const ActivitySchema = new mongoose.Schema({
     },
     // Snapshot: which question this comment belongs to (null for other types)
     questionId: { type: String, required: false, default: null },
+    // Round the entry was made in (see currentRound)
+    round: { type: Number, default: 1 },
     timestamp: {
       type: Date,
       default: Date.now
@@ -360,7 +510,78 @@ const ActivitySchema = new mongoose.Schema({
     voteCount: {
       type: Number,
       default: 0
-    }
+    },
+    // Set when the text was edited; earlier versions are kept in revisions
+    editedAt: {
+      type: Date,
+      default: null
+    },
+    revisions: [{
+      text: {
+        type: String,
+        required: true
+      },
+      // When this version was written
+      timestamp: {
+        type: Date,
+        required: true
+      },
+      replacedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Threaded discussion on this comment, separate from the slot's own comment
+    replies: [{
+      id: {
+        type: String,
+        required: true
+      },
+      userId: {
+        type: String,
+        required: true
+      },
+      username: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 20
+      },
+      text: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+      },
+      timestamp: {
+        type: Date,
+        default: Date.now
+      },
+      votes: [{
+        id: {
+          type: String,
+          required: true
+        },
+        userId: {
+          type: String,
+          required: true
+        },
+        username: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: 20
+        },
+        timestamp: {
+          type: Date,
+          default: Date.now
+        }
+      }],
+      voteCount: {
+        type: Number,
+        default: 0
+      }
+    }]
   }],
   
   // Email collection
@@ -435,6 +656,9 @@ ActivitySchema.methods.updateParticipantConnection = function(userId, isConnecte
 ActivitySchema.methods.addRating = async function(userId, username, position, objectName, slotNumber = 1, questionId = null) {
   const maxRetries = 5;
   let retries = 0;
+  // Earlier rounds keep their ratings; only this round's entry is replaced
+  const round = this.currentRound || 1;
+  const roundMatch = matchRound(round);
 
   while (retries < maxRetries) {
     try {
@@ -449,34 +673,38 @@ ActivitySchema.methods.addRating = async function(userId, username, position, ob
         slotNumber: slotNumber,
         position: position,
         questionId: questionId || null,
+        round: round,
         timestamp: new Date()
       };
 
-      // First, remove all votes cast BY other users ON this user's comment for this slot
-      // This returns those votes to voters when the user updates their mapping
-      await this.constructor.findOneAndUpdate(
-        { id: this.id },
-        {
-          $pull: {
-            'comments.$[userComment].votes': { userId: { $ne: userId } }
+      // Unless the activity keeps votes across edits, remove all votes cast BY other
+      // users ON this user's comment for this slot. This returns those votes to voters
+      // when the user updates their mapping
+      if (this.commentVotesOnEdit !== 'keep') {
+        await this.constructor.findOneAndUpdate(
+          { id: this.id },
+          {
+            $pull: {
+              'comments.$[userComment].votes': { userId: { $ne: userId } }
+            }
+          },
+          {
+            arrayFilters: [
+              { 'userComment.userId': userId, 'userComment.slotNumber': slotNumber, 'userComment.round': roundMatch }
+            ]
           }
-        },
-        {
-          arrayFilters: [
-            { 'userComment.userId': userId, 'userComment.slotNumber': slotNumber }
-          ]
+        );
+
+        // Update vote counts for this user's comments for this slot
+        const activity = await this.constructor.findOne({ id: this.id });
+        if (activity) {
+          activity.comments.forEach(comment => {
+            if (comment.userId === userId && comment.slotNumber === slotNumber && (comment.round || 1) === round) {
+              comment.voteCount = comment.votes.length;
+            }
+          });
+          await activity.save();
         }
-      );
-
-      // Update vote counts for this user's comments for this slot
-      const activity = await this.constructor.findOne({ id: this.id });
-      if (activity) {
-        activity.comments.forEach(comment => {
-          if (comment.userId === userId && comment.slotNumber === slotNumber) {
-            comment.voteCount = comment.votes.length;
-          }
-        });
-        await activity.save();
       }
 
       // Use findOneAndUpdate for atomic operation
@@ -484,8 +712,8 @@ ActivitySchema.methods.addRating = async function(userId, username, position, ob
         { id: this.id },
         {
           $pull: { ratings: questionId
-            ? { userId: userId, slotNumber: slotNumber, questionId: questionId }
-            : { userId: userId, slotNumber: slotNumber, questionId: null } }, // Remove existing rating for this slot/question
+            ? { userId: userId, slotNumber: slotNumber, questionId: questionId, round: roundMatch }
+            : { userId: userId, slotNumber: slotNumber, questionId: null, round: roundMatch } }, // Remove existing rating for this slot/question/round
           $set: {
             'participants.$[elem].hasSubmitted': true,
             'comments.$[comment].objectName': objectName || ''
@@ -495,8 +723,8 @@ ActivitySchema.methods.addRating = async function(userId, username, position, ob
           arrayFilters: [
             { 'elem.id': userId },
             questionId
-              ? { 'comment.userId': userId, 'comment.slotNumber': slotNumber, 'comment.questionId': questionId }
-              : { 'comment.userId': userId, 'comment.slotNumber': slotNumber, 'comment.questionId': null }
+              ? { 'comment.userId': userId, 'comment.slotNumber': slotNumber, 'comment.questionId': questionId, 'comment.round': roundMatch }
+              : { 'comment.userId': userId, 'comment.slotNumber': slotNumber, 'comment.questionId': null, 'comment.round': roundMatch }
           ],
           new: true,
           runValidators: true
@@ -510,7 +738,22 @@ ActivitySchema.methods.addRating = async function(userId, username, position, ob
       // Add the new rating in a separate update to avoid conflicts
       const finalDoc = await this.constructor.findOneAndUpdate(
         { id: this.id },
-        { $push: { ratings: newRating } },
+        {
+          $push: {
+            ratings: newRating,
+            ratingHistory: {
+              ratingId: newRating.id,
+              userId: newRating.userId,
+              username: newRating.username,
+              objectName: newRating.objectName,
+              slotNumber: newRating.slotNumber,
+              questionId: newRating.questionId,
+              round: newRating.round,
+              position: newRating.position,
+              timestamp: newRating.timestamp
+            }
+          }
+        },
         { new: true }
       );
 
@@ -529,29 +772,53 @@ ActivitySchema.methods.addRating = async function(userId, username, position, ob
   throw new Error('Failed to update rating after maximum retries');
 };
 
+// Add a comment for the user's slot, or edit the existing one in place.
+// Edits keep the comment ID and replies, and record the previous text in revisions.
 ActivitySchema.methods.addComment = function(userId, username, text, objectName, slotNumber = 1, questionId = null) {
-  const commentId = `comment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-  // Remove existing comment from same user, slot, and question
-  this.comments = this.comments.filter(c => !(
+  const round = this.currentRound || 1;
+  const existing = this.comments.find(c =>
     c.userId === userId &&
     c.slotNumber === slotNumber &&
-    (c.questionId || null) === (questionId || null)
-  ));
+    (c.questionId || null) === (questionId || null) &&
+    (c.round || 1) === round
+  );
+
+  if (existing) {
+    if (existing.text !== text) {
+      existing.revisions.push({
+        text: existing.text,
+        timestamp: existing.editedAt || existing.timestamp,
+        replacedAt: new Date()
+      });
+      if (existing.revisions.length > MAX_COMMENT_REVISIONS) {
+        existing.revisions.shift();
+      }
+      existing.text = text;
+      existing.editedAt = new Date();
 
-  // Add new comment
-  this.comments.push({
-    id: commentId,
-    userId: userId,
-    username: username,
-    objectName: objectName || '',
-    slotNumber: slotNumber,
-    text: text,
-    questionId: questionId || null,
-    timestamp: new Date(),
-    votes: [],
-    voteCount: 0
-  });
+      if (this.commentVotesOnEdit !== 'keep') {
+        // Votes go back to the voters
+        existing.votes = [];
+        existing.voteCount = 0;
+      }
+    }
+    existing.username = username;
+    existing.objectName = objectName || '';
+  } else {
+    this.comments.push({
+      id: `comment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      userId: userId,
+      username: username,
+      objectName: objectName || '',
+      slotNumber: slotNumber,
+      text: text,
+      questionId: questionId || null,
+      round: round,
+      timestamp: new Date(),
+      votes: [],
+      voteCount: 0
+    });
+  }
 
   // Update participant submission status (participant is per user, not per slot)
   const participant = this.participants.find(p => p.id === userId);
@@ -603,6 +870,62 @@ ActivitySchema.methods.voteComment = function(commentId, userId, username) {
   return this.save();
 };
 
+ActivitySchema.methods.addReply = function(commentId, userId, username, text) {
+  const comment = this.comments.find(c => c.id === commentId);
+  if (!comment) {
+    throw new Error('Comment not found');
+  }
+
+  const reply = {
+    id: `reply_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    userId: userId,
+    username: username,
+    text: text,
+    timestamp: new Date(),
+    votes: [],
+    voteCount: 0
+  };
+  comment.replies.push(reply);
+
+  return this.save();
+};
+
+// Toggle a vote on a reply. Reply votes don't count against votesPerUser.
+ActivitySchema.methods.voteReply = function(commentId, replyId, userId, username) {
+  const reply = this.comments.find(c => c.id === commentId)?.replies.find(r => r.id === replyId);
+  if (!reply) {
+    throw new Error('Reply not found');
+  }
+
+  if (reply.userId === userId) {
+    throw new Error('Cannot vote on your own reply');
+  }
+
+  if (reply.votes.some(v => v.userId === userId)) {
+    reply.votes = reply.votes.filter(v => v.userId !== userId);
+  } else {
+    reply.votes.push({
+      id: `vote_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      userId: userId,
+      username: username,
+      timestamp: new Date()
+    });
+  }
+  reply.voteCount = reply.votes.length;
+
+  return this.save();
+};
+
+ActivitySchema.methods.removeReply = function(commentId, replyId) {
+  const comment = this.comments.find(c => c.id === commentId);
+  if (!comment || !comment.replies.some(r => r.id === replyId)) {
+    throw new Error('Reply not found');
+  }
+
+  comment.replies = comment.replies.filter(r => r.id !== replyId);
+  return this.save();
+};
+
 // Helper method to count total votes cast by a user
 ActivitySchema.methods.getUserVoteCount = function(userId) {
   let voteCount = 0;
@@ -625,6 +948,24 @@ ActivitySchema.methods.getRemainingVotes = function(userId) {
   return Math.max(0, this.votesPerUser - used);
 };
 
+// Start the next round. Round 1 is recorded as starting when the activity was created.
+ActivitySchema.methods.startNextRound = function(label, startedBy) {
+  const now = new Date();
+  if (this.rounds.length === 0) {
+    this.rounds.push({ number: 1, label: '', startedAt: this.createdAt || now, startedBy: null });
+  }
+
+  this.currentRound = (this.currentRound || 1) + 1;
+  this.rounds.push({
+    number: this.currentRound,
+    label: label || '',
+    startedAt: now,
+    startedBy: startedBy || null
+  });
+
+  return this.save();
+};
+
 ActivitySchema.methods.removeParticipant = function(userId) {
   this.participants = this.participants.filter(p => p.id !== userId);
   return this.save();
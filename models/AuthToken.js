@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Single-use, expiring tokens for password resets and email verification.
+// Only a hash of the token is stored; the raw token goes out by email.
+const AuthTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ['password_reset', 'email_verification'],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB remove expired tokens
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a new token, replacing any unused tokens of the same type for the user.
+// Returns the raw token.
+AuthTokenSchema.statics.issue = async function (userId, type, ttlMs) {
+  await this.deleteMany({ userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+// Atomically mark a token as used. Returns the token record, or null if the
+// token is unknown, expired or already used.
+AuthTokenSchema.statics.consume = function (token, type) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema);
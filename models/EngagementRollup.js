@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Daily engagement counts, maintained by services/engagementRollupJob.js so
+// the admin dashboard can chart activity without scanning every Activity.
+// One document per UTC day and activity, plus one platform document per day
+// (activityId null) that holds new user sign-ups.
+const EngagementRollupSchema = new mongoose.Schema(
+  {
+    // Start of the UTC day
+    date: {
+      type: Date,
+      required: true,
+    },
+    activityId: {
+      type: String,
+      default: null,
+    },
+    // Copied from the activity so rollups can be filtered without a lookup
+    activityType: {
+      type: String,
+      default: null,
+    },
+    creatorId: {
+      type: String,
+      default: null,
+    },
+    // Users who placed, commented, replied or voted that day. Kept as IDs so
+    // weekly and filtered series count each person once.
+    activeUserIds: [{
+      type: String,
+    }],
+    ratings: {
+      type: Number,
+      default: 0,
+    },
+    // Comments and replies
+    comments: {
+      type: Number,
+      default: 0,
+    },
+    votes: {
+      type: Number,
+      default: 0,
+    },
+    // Platform document only
+    newUsers: {
+      type: Number,
+      default: 0,
+    },
+    computedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+EngagementRollupSchema.index({ date: 1, activityId: 1 }, { unique: true });
+EngagementRollupSchema.index({ activityType: 1, date: 1 });
+EngagementRollupSchema.index({ creatorId: 1, date: 1 });
+
+module.exports = mongoose.model('EngagementRollup', EngagementRollupSchema);
@@ -118,6 +118,41 @@ const SequenceSchema = new mongoose.Schema({
     }
   }],
 
+  // Co-facilitators who help the creator run this sequence
+  facilitators: [{
+    userId: {
+      type: String,
+      required: true
+    },
+    // What this facilitator is allowed to do (the creator can do everything)
+    capabilities: {
+      manageMembers: {
+        type: Boolean,
+        default: true
+      },
+      openCloseActivities: {
+        type: Boolean,
+        default: true
+      },
+      editActivities: {
+        type: Boolean,
+        default: true
+      },
+      viewEmails: {
+        type: Boolean,
+        default: false
+      }
+    },
+    addedBy: {
+      type: String,
+      required: false
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Cohort members (user IDs)
   members: [{
     userId: {
@@ -180,6 +215,107 @@ const SequenceSchema = new mongoose.Schema({
 // Indexes for performance
 SequenceSchema.index({ status: 1, createdAt: -1 });
 SequenceSchema.index({ 'members.userId': 1 });
+SequenceSchema.index({ 'facilitators.userId': 1 });
+
+// Progression helpers (work on documents and plain objects alike)
+
+// Parent activity IDs for a sequence activity. Sequences without any
+// parentActivityIds are linear: each activity's parent is the previous one by order.
+function getParentIds(activities, entry) {
+  const isDag = activities.some(a => (a.parentActivityIds || []).length > 0);
+  if (isDag) {
+    const sequenceActivityIds = new Set(activities.map(a => a.activityId));
+    return (entry.parentActivityIds || []).filter(id => sequenceActivityIds.has(id));
+  }
+
+  const ordered = [...activities].sort((a, b) => a.order - b.order);
+  const index = ordered.findIndex(a => a.activityId === entry.activityId);
+  return index > 0 ? [ordered[index - 1].activityId] : [];
+}
+
+// An activity is closed once its closedAt has passed
+function isActivityClosed(entry, now = new Date()) {
+  return !!entry.closedAt && entry.closedAt <= now;
+}
+
+// Close date for an activity opened at openedAt (null = stays open until closed manually)
+function getScheduledCloseDate(entry, openedAt) {
+  if (!entry.autoClose || !entry.duration) return null;
+  const closeDate = new Date(openedAt);
+  closeDate.setDate(closeDate.getDate() + entry.duration);
+  return closeDate;
+}
+
+const isDagSequence = (activities) => activities.some(a => (a.parentActivityIds || []).length > 0);
+
+// Node state in the progression graph:
+// closed (closedAt passed), open, ready (all parents closed) or locked
+function getActivityState(activities, entry, now = new Date()) {
+  if (isActivityClosed(entry, now)) return 'closed';
+  if (entry.openedAt) return 'open';
+
+  const parentsClosed = getParentIds(activities, entry).every(parentId => {
+    const parent = activities.find(a => a.activityId === parentId);
+    return parent && isActivityClosed(parent, now);
+  });
+  return parentsClosed ? 'ready' : 'locked';
+}
+
+// Check an activities array for duplicates, dangling parent IDs and cycles.
+// Returns a list of error messages (empty when the graph is valid).
+function validateActivityGraph(activities) {
+  const errors = [];
+  const ids = activities.map(a => a.activityId);
+  const idSet = new Set(ids);
+
+  const duplicates = [...new Set(ids.filter((id, index) => ids.indexOf(id) !== index))];
+  for (const id of duplicates) {
+    errors.push(`Activity ${id} appears more than once`);
+  }
+
+  for (const entry of activities) {
+    for (const parentId of entry.parentActivityIds || []) {
+      if (!idSet.has(parentId)) {
+        errors.push(`Activity ${entry.activityId} has unknown parent ${parentId}`);
+      }
+    }
+  }
+
+  // Kahn's algorithm: any node left unvisited is part of a cycle
+  const inDegree = new Map(ids.map(id => [id, 0]));
+  const children = new Map(ids.map(id => [id, []]));
+  for (const entry of activities) {
+    for (const parentId of new Set(entry.parentActivityIds || [])) {
+      if (!idSet.has(parentId)) continue;
+      inDegree.set(entry.activityId, inDegree.get(entry.activityId) + 1);
+      children.get(parentId).push(entry.activityId);
+    }
+  }
+
+  const queue = ids.filter(id => inDegree.get(id) === 0);
+  const visited = new Set();
+  while (queue.length > 0) {
+    const id = queue.shift();
+    visited.add(id);
+    for (const childId of children.get(id)) {
+      inDegree.set(childId, inDegree.get(childId) - 1);
+      if (inDegree.get(childId) === 0) queue.push(childId);
+    }
+  }
+
+  const cyclic = ids.filter(id => !visited.has(id));
+  if (cyclic.length > 0 && duplicates.length === 0) {
+    errors.push(`Activities form a cycle: ${[...new Set(cyclic)].join(', ')}`);
+  }
+
+  return errors;
+}
+
+SequenceSchema.statics.getParentIds = getParentIds;
+SequenceSchema.statics.isActivityClosed = isActivityClosed;
+SequenceSchema.statics.getScheduledCloseDate = getScheduledCloseDate;
+SequenceSchema.statics.getActivityState = getActivityState;
+SequenceSchema.statics.validateActivityGraph = validateActivityGraph;
 
 // Helper methods
 SequenceSchema.methods.addMember = async function(userId, email, username) {
@@ -230,6 +366,40 @@ SequenceSchema.methods.addMember = async function(userId, email, username) {
   }
 };
 
+SequenceSchema.methods.addFacilitator = async function(userId, capabilities = {}, addedBy = null) {
+  try {
+    if (userId === this.createdBy) {
+      throw new Error('The sequence creator is already a facilitator');
+    }
+
+    const existingFacilitator = this.facilitators.find(f => f.userId === userId);
+
+    if (existingFacilitator) {
+      // Update capabilities for an existing facilitator
+      for (const [capability, enabled] of Object.entries(capabilities)) {
+        existingFacilitator.set(`capabilities.${capability}`, enabled);
+      }
+    } else {
+      this.facilitators.push({
+        userId: userId,
+        capabilities: capabilities,
+        addedBy: addedBy,
+        addedAt: new Date()
+      });
+    }
+
+    return await this.save();
+  } catch (error) {
+    console.error('Error in addFacilitator:', error);
+    throw error;
+  }
+};
+
+SequenceSchema.methods.removeFacilitator = async function(userId) {
+  this.facilitators = this.facilitators.filter(f => f.userId !== userId);
+  return await this.save();
+};
+
 SequenceSchema.methods.addInvitedEmails = async function(emails) {
   try {
     // Normalize and deduplicate emails
@@ -301,26 +471,74 @@ SequenceSchema.methods.addActivity = async function(activityId, order, autoClose
 
 SequenceSchema.methods.removeActivity = async function(activityId) {
   this.activities = this.activities.filter(a => a.activityId !== activityId);
+
+  // Don't leave dangling parent references behind
+  for (const entry of this.activities) {
+    if ((entry.parentActivityIds || []).includes(activityId)) {
+      entry.parentActivityIds = entry.parentActivityIds.filter(id => id !== activityId);
+    }
+  }
+
   return await this.save();
 };
 
+// Activities that can be opened now (unopened, all parents closed)
+SequenceSchema.methods.getReadyActivities = function(now = new Date()) {
+  return this.activities.filter(entry => getActivityState(this.activities, entry, now) === 'ready');
+};
+
+// Open a single activity, setting its close date if autoClose is enabled
+function openEntry(entry, now) {
+  entry.openedAt = now;
+  entry.closedAt = getScheduledCloseDate(entry, now);
+}
+
+// Progression graph with each node's state, children and rank (longest path from a root)
+SequenceSchema.methods.getGraph = function(now = new Date()) {
+  const activities = this.activities;
+  const parentsById = new Map(activities.map(entry => [entry.activityId, getParentIds(activities, entry)]));
+
+  const ranks = new Map();
+  const getRank = (activityId, visiting = new Set()) => {
+    if (ranks.has(activityId)) return ranks.get(activityId);
+    if (visiting.has(activityId)) return 0; // Guard against stored cycles
+    visiting.add(activityId);
+    const parentRanks = parentsById.get(activityId).map(parentId => getRank(parentId, visiting) + 1);
+    const rank = Math.max(0, ...parentRanks);
+    ranks.set(activityId, rank);
+    return rank;
+  };
+
+  return {
+    mode: isDagSequence(activities) ? 'dag' : 'linear',
+    nodes: activities.map(entry => ({
+      activityId: entry.activityId,
+      order: entry.order,
+      round: entry.round || null,
+      rank: getRank(entry.activityId),
+      parentActivityIds: parentsById.get(entry.activityId),
+      childActivityIds: activities
+        .filter(other => parentsById.get(other.activityId).includes(entry.activityId))
+        .map(other => other.activityId),
+      state: getActivityState(activities, entry, now),
+      autoClose: entry.autoClose,
+      duration: entry.duration,
+      openedAt: entry.openedAt,
+      closedAt: entry.closedAt
+    }))
+  };
+};
+
 SequenceSchema.methods.startSequence = async function() {
   try {
+    const now = new Date();
     this.status = 'active';
-    this.startedAt = new Date();
-
-    // Open the first activity
-    if (this.activities.length > 0) {
-      const firstActivity = this.activities[0];
-      firstActivity.openedAt = new Date();
-
-      // Set close date only if autoClose is enabled
-      if (firstActivity.autoClose && firstActivity.duration) {
-        const closeDate = new Date();
-        closeDate.setDate(closeDate.getDate() + firstActivity.duration);
-        firstActivity.closedAt = closeDate;
-      } else {
-        firstActivity.closedAt = null; // No automatic closing
+    this.startedAt = now;
+
+    // Open every root activity (just the first one in a linear sequence)
+    for (const entry of this.activities) {
+      if (!entry.openedAt && getParentIds(this.activities, entry).length === 0) {
+        openEntry(entry, now);
       }
     }
 
@@ -333,19 +551,23 @@ SequenceSchema.methods.startSequence = async function() {
 
 SequenceSchema.methods.openNextActivity = async function() {
   try {
-    // Find the next unopened activity
-    const nextActivity = this.activities.find(a => !a.openedAt);
-
-    if (nextActivity) {
-      nextActivity.openedAt = new Date();
-
-      // Set close date only if autoClose is enabled
-      if (nextActivity.autoClose && nextActivity.duration) {
-        const closeDate = new Date();
-        closeDate.setDate(closeDate.getDate() + nextActivity.duration);
-        nextActivity.closedAt = closeDate;
-      } else {
-        nextActivity.closedAt = null; // No automatic closing
+    const now = new Date();
+
+    if (isDagSequence(this.activities)) {
+      // Open every branch whose parents have all closed
+      const readyActivities = this.getReadyActivities(now);
+      if (readyActivities.length === 0) {
+        throw new Error('No activities are ready to open');
+      }
+      readyActivities.forEach(entry => openEntry(entry, now));
+    } else {
+      // Linear sequences open the next unopened activity by order
+      const nextActivity = [...this.activities]
+        .sort((a, b) => a.order - b.order)
+        .find(a => !a.openedAt);
+
+      if (nextActivity) {
+        openEntry(nextActivity, now);
       }
     }
 
@@ -356,6 +578,31 @@ SequenceSchema.methods.openNextActivity = async function() {
   }
 };
 
+// Open a specific activity once all of its parents are closed
+SequenceSchema.methods.openActivity = async function(activityId) {
+  try {
+    const entry = this.activities.find(a => a.activityId === activityId);
+
+    if (!entry) {
+      throw new Error('Activity not found in sequence');
+    }
+
+    const state = getActivityState(this.activities, entry);
+    if (state === 'open' || state === 'closed') {
+      throw new Error('Activity has already been opened');
+    }
+    if (state === 'locked') {
+      throw new Error('Activity cannot open until all of its parent activities are closed');
+    }
+
+    openEntry(entry, new Date());
+    return await this.save();
+  } catch (error) {
+    console.error('Error in openActivity:', error);
+    throw error;
+  }
+};
+
 SequenceSchema.methods.completeSequence = async function() {
   this.status = 'completed';
   this.completedAt = new Date();
@@ -375,7 +622,8 @@ SequenceSchema.methods.closeActivity = async function(activityId) {
       throw new Error('Cannot close an activity that has not been opened');
     }
 
-    if (activity.closedAt && new Date() <= activity.closedAt) {
+    // A closedAt in the future is a scheduled close; the activity is still open
+    if (isActivityClosed(activity)) {
       throw new Error('Activity is already closed');
     }
 
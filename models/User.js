@@ -81,6 +81,12 @@ const userSchema = new mongoose.Schema({
     default: false
   },
 
+  // Bumped to revoke all outstanding refresh tokens (logout, password change)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+
   // Migration support: link old localStorage IDs to new accounts
   legacyUserIds: [{
     type: String
@@ -130,6 +136,7 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.tokenVersion;
   return obj;
 };
 
@@ -1,22 +1,69 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const Activity = require('../models/Activity');
-const Sequence = require('../models/Sequence');
+const EngagementRollup = require('../models/EngagementRollup');
+const authenticate = require('../middleware/authenticate');
+const requireAdmin = require('../middleware/requireAdmin');
+const { requireActivityRole } = require('../middleware/requireRole');
+const { checkActivityAccess } = require('../services/activityAccess');
+const { broadcastToActivity } = require('../services/activityEvents');
+const { clearLivePreviewCache } = require('../services/positionPreview');
+const { buildTrajectories } = require('../services/trajectories');
+const { buildActivityStats } = require('../services/activityStats');
+const { parseClusterQuery, clusterActivity, getClusters } = require('../services/clustering');
+const { parseExportQuery, buildActivityExport, sendExport } = require('../services/dataExport');
+const { ServiceError } = require('../services/errors');
+const {
+  REVEAL_POLICIES,
+  canSeeOthers,
+  hideOthersEntries,
+  notifyVisibilityChanged
+} = require('../services/revealPolicy');
+const {
+  SubmissionError,
+  submitRating,
+  submitComment,
+  submitReply
+} = require('../services/submissions');
+const {
+  OWNER_ROLES,
+  FACILITATOR_ROLES,
+  CAPABILITIES,
+  getActivityRole,
+  getFacilitatedActivityIds
+} = require('../services/permissions');
+
+// What happens to a comment's votes when its author edits it
+const COMMENT_VOTE_POLICIES = ['reset', 'keep'];
+
+// ?include=history adds the full placement history (ratingHistory)
+const activitySelect = (req) => {
+  const includes = String(req.query.include || '').split(',');
+  return includes.includes('history') ? '-__v' : '-__v -ratingHistory';
+};
+
+// List items use the custom id field and the same reveal filtering as GET /:id
+async function toListItems(activities, user) {
+  const facilitatedActivityIds = await getFacilitatedActivityIds(user);
+  return Promise.all(activities.map(async activity => {
+    const activityObj = activity.toObject();
+    const item = {
+      ...activityObj,
+      // Keep the custom id field if it exists, otherwise fallback to _id
+      id: activityObj.id || activity._id.toString(),
+      // Ensure isDraft field exists with default false for existing activities
+      isDraft: activityObj.isDraft !== undefined ? activityObj.isDraft : false
+    };
+    return (await canSeeOthers(activity, user, facilitatedActivityIds)) ? item : hideOthersEntries(item, user?.id);
+  }));
+}
 
 module.exports = function(io) {
   const router = express.Router();
 
-  // Helper to check if activity is in solo tracker mode
-  const isSoloTrackerMode = (activity) => activity.maxEntries === 0;
-
-  // Helper to check if user is the activity creator
-  const isActivityCreator = (activity, userId) => {
-    return activity.author?.userId && activity.author.userId === userId;
-  };
-
 // Get all activities (admin endpoint - includes drafts)
 // Optional ?createdBy=userId to scope to a specific creator
-router.get('/admin', async (req, res) => {
+router.get('/admin', authenticate, requireAdmin, async (req, res) => {
   try {
     const query = {};
     if (req.query.createdBy) {
@@ -24,19 +71,9 @@ router.get('/admin', async (req, res) => {
     }
     const activities = await Activity.find(query)
       .sort({ createdAt: -1 })
-      .select('-__v');
+      .select('-__v -ratingHistory');
 
-    // Use the custom id field, not MongoDB's _id
-    const transformedActivities = activities.map(activity => {
-      const activityObj = activity.toObject();
-      return {
-        ...activityObj,
-        // Keep the custom id field if it exists, otherwise fallback to _id
-        id: activityObj.id || activity._id.toString(),
-        // Ensure isDraft field exists with default false for existing activities
-        isDraft: activityObj.isDraft !== undefined ? activityObj.isDraft : false
-      };
-    });
+    const transformedActivities = await toListItems(activities, req.user);
     
     res.json({
       success: true,
@@ -54,24 +91,14 @@ router.get('/admin', async (req, res) => {
 });
 
 // Get all activities (public endpoint - excludes drafts)
-router.get('/', async (req, res) => {
+router.get('/', authenticate.optional, async (req, res) => {
   try {
     // Only show non-draft activities to public (treat missing isDraft as false)
     const activities = await Activity.find({ $or: [{ isDraft: { $ne: true } }, { isDraft: { $exists: false } }] })
       .sort({ createdAt: -1 })
-      .select('-__v');
+      .select('-__v -ratingHistory -emails');
     
-    // Use the custom id field, not MongoDB's _id
-    const transformedActivities = activities.map(activity => {
-      const activityObj = activity.toObject();
-      return {
-        ...activityObj,
-        // Keep the custom id field if it exists, otherwise fallback to _id
-        id: activityObj.id || activity._id.toString(),
-        // Ensure isDraft field exists with default false for existing activities
-        isDraft: activityObj.isDraft !== undefined ? activityObj.isDraft : false
-      };
-    });
+    const transformedActivities = await toListItems(activities, req.user);
 
     res.json({
       success: true,
@@ -90,9 +117,9 @@ router.get('/', async (req, res) => {
 });
 
 // Get activity by URL name
-router.get('/by-url/:urlName', async (req, res) => {
+router.get('/by-url/:urlName', authenticate.optional, async (req, res) => {
   try {
-    const activity = await Activity.findOne({ urlName: req.params.urlName }).select('-__v');
+    const activity = await Activity.findOne({ urlName: req.params.urlName }).select(activitySelect(req));
 
     if (!activity) {
       return res.status(404).json({
@@ -103,11 +130,16 @@ router.get('/by-url/:urlName', async (req, res) => {
 
     // Use the custom id field, not MongoDB's _id
     const activityObj = activity.toObject();
-    const transformedActivity = {
+    let transformedActivity = {
       ...activityObj,
       id: activityObj.id || activity._id.toString() // Fallback to _id if custom id doesn't exist
     };
 
+    // Leave out other participants' entries until the reveal policy allows them
+    if (!(await canSeeOthers(activity, req.user))) {
+      transformedActivity = hideOthersEntries(transformedActivity, req.user?.id);
+    }
+
     console.log('=== FETCHING ACTIVITY BY URL ===');
     console.log('URL name:', req.params.urlName);
     console.log('Activity ID:', transformedActivity.id);
@@ -128,7 +160,7 @@ router.get('/by-url/:urlName', async (req, res) => {
 });
 
 // Get activities for a specific user (activities they've participated in)
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', authenticate.optional, async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -138,17 +170,9 @@ router.get('/user/:userId', async (req, res) => {
       $or: [{ isDraft: { $ne: true } }, { isDraft: { $exists: false } }]
     })
       .sort({ createdAt: -1 })
-      .select('-__v');
-
-    // Transform activities to use custom id field
-    const transformedActivities = activities.map(activity => {
-      const activityObj = activity.toObject();
-      return {
-        ...activityObj,
-        id: activityObj.id || activity._id.toString(),
-        isDraft: activityObj.isDraft !== undefined ? activityObj.isDraft : false
-      };
-    });
+      .select('-__v -ratingHistory -emails');
+
+    const transformedActivities = await toListItems(activities, req.user);
 
     res.json({
       success: true,
@@ -167,9 +191,9 @@ router.get('/user/:userId', async (req, res) => {
 });
 
 // Get single activity
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticate.optional, async (req, res) => {
   try {
-    const activity = await Activity.findOne({ id: req.params.id }).select('-__v');
+    const activity = await Activity.findOne({ id: req.params.id }).select(activitySelect(req));
 
     if (!activity) {
       return res.status(404).json({
@@ -180,11 +204,16 @@ router.get('/:id', async (req, res) => {
 
     // Use the custom id field, not MongoDB's _id
     const activityObj = activity.toObject();
-    const transformedActivity = {
+    let transformedActivity = {
       ...activityObj,
       id: activityObj.id || activity._id.toString() // Fallback to _id if custom id doesn't exist
     };
 
+    // Leave out other participants' entries until the reveal policy allows them
+    if (!(await canSeeOthers(activity, req.user))) {
+      transformedActivity = hideOthersEntries(transformedActivity, req.user?.id);
+    }
+
     console.log('Fetched activity by ID - preamble:', transformedActivity.preamble);
     console.log('Fetched activity by ID - referenceLink:', transformedActivity.wikiLink);
 
@@ -202,7 +231,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new activity
-router.post('/', async (req, res) => {
+router.post('/', authenticate, async (req, res) => {
   try {
     console.log('=== CREATE ACTIVITY REQUEST RECEIVED ===');
     console.log('Request body:', JSON.stringify(req.body, null, 2));
@@ -224,6 +253,9 @@ router.post('/', async (req, res) => {
       maxEntries,
       showProfileLinks,
       showAxisLabels,
+      livePreview,
+      revealPolicy,
+      commentVotesOnEdit,
       author,
       // Snapshot-specific
       snapshotQuestions,
@@ -287,6 +319,11 @@ router.post('/', async (req, res) => {
       maxEntries: maxEntries !== undefined && [0, 1, 2, 4].includes(Number(maxEntries)) ? Number(maxEntries) : 1,
       showProfileLinks: showProfileLinks !== undefined ? showProfileLinks : true,
       showAxisLabels: showAxisLabels !== undefined ? showAxisLabels : true,
+      livePreview: livePreview === true,
+      revealPolicy: REVEAL_POLICIES.includes(revealPolicy) ? revealPolicy : 'immediate',
+      commentVotesOnEdit: COMMENT_VOTE_POLICIES.includes(commentVotesOnEdit) ? commentVotesOnEdit : 'reset',
+      // Entries start hidden until the facilitator reveals them
+      ...(revealPolicy === 'on_facilitator_reveal' && { liveSession: { revealed: false } }),
       // Snapshot-specific fields
       ...(activityType === 'snapshot' && {
         snapshotQuestions: snapshotQuestions || [],
@@ -295,11 +332,11 @@ router.post('/', async (req, res) => {
         xAxisLabels: xAxisLabels || [],
         yAxisLabels: yAxisLabels || [],
       }),
-      // Auto-set author if provided (for solo tracker mode especially)
-      author: author ? {
-        userId: author.userId,
-        name: author.name
-      } : undefined,
+      // Author is always the authenticated creator (display name may be overridden)
+      author: {
+        userId: req.user.id,
+        name: author?.name || req.user.name || ''
+      },
       status: 'active',
       participants: [],
       ratings: [],
@@ -363,19 +400,16 @@ router.post('/', async (req, res) => {
 });
 
 // Update activity
-router.patch('/:id', async (req, res) => {
+router.patch('/:id', authenticate, requireActivityRole(FACILITATOR_ROLES, CAPABILITIES.EDIT_ACTIVITIES), async (req, res) => {
   try {
-    const activity = await Activity.findOne({ id: req.params.id });
-    
-    if (!activity) {
-      return res.status(404).json({
-        success: false,
-        error: 'Activity not found'
-      });
-    }
+    const activity = req.activity;
     
     // Update allowed fields
-    const allowedUpdates = ['title', 'urlName', 'mapQuestion', 'mapQuestion2', 'xAxis', 'yAxis', 'commentQuestion', 'objectNameQuestion', 'preamble', 'wikiLink', 'starterData', 'votesPerUser', 'maxEntries', 'status', 'isPublic', 'showProfileLinks', 'showAxisLabels', 'author', 'snapshotQuestions', 'xAxisPoints', 'yAxisPoints', 'xAxisLabels', 'yAxisLabels'];
+    const allowedUpdates = ['title', 'urlName', 'mapQuestion', 'mapQuestion2', 'xAxis', 'yAxis', 'commentQuestion', 'objectNameQuestion', 'preamble', 'wikiLink', 'starterData', 'votesPerUser', 'maxEntries', 'status', 'isPublic', 'showProfileLinks', 'showAxisLabels', 'livePreview', 'revealPolicy', 'commentVotesOnEdit', 'snapshotQuestions', 'xAxisPoints', 'yAxisPoints', 'xAxisLabels', 'yAxisLabels'];
+    // Only owners and admins can transfer authorship
+    if (OWNER_ROLES.includes(req.activityRole)) {
+      allowedUpdates.push('author');
+    }
     const updates = {};
 
     for (const key of allowedUpdates) {
@@ -386,6 +420,14 @@ router.patch('/:id', async (req, res) => {
           if ([0, 1, 2, 4].includes(value)) {
             updates[key] = value;
           }
+        } else if (key === 'revealPolicy') {
+          if (REVEAL_POLICIES.includes(req.body[key])) {
+            updates[key] = req.body[key];
+          }
+        } else if (key === 'commentVotesOnEdit') {
+          if (COMMENT_VOTE_POLICIES.includes(req.body[key])) {
+            updates[key] = req.body[key];
+          }
         } else {
           updates[key] = req.body[key];
         }
@@ -402,9 +444,34 @@ router.patch('/:id', async (req, res) => {
     Object.assign(activity, updates);
     console.log('Activity after Object.assign:', activity.toObject());
 
+    const livePreviewChanged = activity.isModified('livePreview');
+    const revealPolicyChanged = activity.isModified('revealPolicy');
+    const visibilityChanged = revealPolicyChanged ||
+      (activity.isModified('status') && activity.revealPolicy === 'on_close');
+    if (revealPolicyChanged && activity.revealPolicy === 'on_facilitator_reveal') {
+      // Entries start hidden until the facilitator reveals them
+      activity.liveSession.revealed = false;
+    }
     const updatedActivity = await activity.save();
     console.log('Activity after save:', updatedActivity.toObject());
 
+    if (livePreviewChanged || visibilityChanged) {
+      clearLivePreviewCache(updatedActivity.id);
+    }
+
+    if (livePreviewChanged) {
+      if (io) {
+        io.to(updatedActivity.id).emit('live_preview_toggled', {
+          activityId: updatedActivity.id,
+          enabled: updatedActivity.livePreview
+        });
+      }
+    }
+
+    if (visibilityChanged) {
+      await notifyVisibilityChanged(io, updatedActivity.id);
+    }
+
     // Use the custom id field
     const activityObj = updatedActivity.toObject();
     const transformedActivity = {
@@ -427,14 +494,16 @@ router.patch('/:id', async (req, res) => {
 
 // Clear a slot (delete rating and comment for specific user + slot)
 // IMPORTANT: Must be before generic DELETE /:id route
-router.delete('/:id/slot', async (req, res) => {
+router.delete('/:id/slot', authenticate, async (req, res) => {
   try {
-    const { userId, slotNumber } = req.query;
+    const { slotNumber } = req.query;
+    // Facilitators may clear another participant's slot via ?userId=
+    const userId = req.query.userId || req.user.id;
 
-    if (!userId || !slotNumber) {
+    if (!slotNumber) {
       return res.status(400).json({
         success: false,
-        error: 'User ID and slot number are required'
+        error: 'Slot number is required'
       });
     }
 
@@ -449,24 +518,33 @@ router.delete('/:id/slot', async (req, res) => {
       });
     }
 
+    if (userId !== req.user.id) {
+      const role = await getActivityRole(activity, req.user, CAPABILITIES.EDIT_ACTIVITIES);
+      if (!FACILITATOR_ROLES.includes(role)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only clear your own entries'
+        });
+      }
+    }
+
+    // Only the current round's entries are cleared; earlier rounds stay
+    const round = activity.currentRound || 1;
+    const inSlot = (entry) => entry.userId === userId && (entry.slotNumber || 1) === slotNum && (entry.round || 1) === round;
+
     // Remove rating for this user and slot
-    activity.ratings = activity.ratings.filter(r =>
-      !(r.userId === userId && (r.slotNumber || 1) === slotNum)
-    );
+    activity.ratings = activity.ratings.filter(r => !inSlot(r));
 
     // Remove comment for this user and slot
-    activity.comments = activity.comments.filter(c =>
-      !(c.userId === userId && (c.slotNumber || 1) === slotNum)
-    );
+    activity.comments = activity.comments.filter(c => !inSlot(c));
 
     await activity.save();
 
     // Broadcast update via WebSocket
-    if (io) {
-      io.to(req.params.id).emit('activity_updated', {
-        activity: activity.toObject()
-      });
-    }
+    const { emails, ratingHistory, ...activityObj } = activity.toObject();
+    await broadcastToActivity(io, req.params.id, 'activity_updated', {
+      activity: activityObj
+    });
 
     res.json({
       success: true,
@@ -482,18 +560,11 @@ router.delete('/:id/slot', async (req, res) => {
 });
 
 // Delete activity
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticate, requireActivityRole(OWNER_ROLES), async (req, res) => {
   try {
-    const activity = await Activity.findOne({ id: req.params.id });
-    
-    if (!activity) {
-      return res.status(404).json({
-        success: false,
-        error: 'Activity not found'
-      });
-    }
-    
     await Activity.deleteOne({ id: req.params.id });
+    // Keep deleted activities out of the engagement charts
+    await EngagementRollup.deleteMany({ activityId: req.params.id });
     
     res.json({
       success: true,
@@ -509,7 +580,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Toggle draft status
-router.patch('/:id/draft', async (req, res) => {
+router.patch('/:id/draft', authenticate, requireActivityRole(FACILITATOR_ROLES, CAPABILITIES.EDIT_ACTIVITIES), async (req, res) => {
   try {
     const { isDraft } = req.body;
     
@@ -520,15 +591,7 @@ router.patch('/:id/draft', async (req, res) => {
       });
     }
     
-    const activity = await Activity.findOne({ id: req.params.id });
-    
-    if (!activity) {
-      return res.status(404).json({
-        success: false,
-        error: 'Activity not found'
-      });
-    }
-    
+    const activity = req.activity;
     activity.isDraft = isDraft;
     const updatedActivity = await activity.save();
 
@@ -553,14 +616,15 @@ router.patch('/:id/draft', async (req, res) => {
 });
 
 // Add participant to activity
-router.post('/:id/participants', async (req, res) => {
+router.post('/:id/participants', authenticate, async (req, res) => {
   try {
-    const { userId, username, sequenceId } = req.body;
+    const { username, sequenceId } = req.body;
+    const userId = req.user.id;
 
-    if (!userId || !username) {
+    if (!username) {
       return res.status(400).json({
         success: false,
-        error: 'User ID and username are required'
+        error: 'Username is required'
       });
     }
 
@@ -573,23 +637,17 @@ router.post('/:id/participants', async (req, res) => {
       });
     }
 
-    let resolvedUsername = username;
-
-    if (sequenceId) {
-      const sequence = await Sequence.findOne({ id: sequenceId });
-      if (sequence && sequence.requireInvitation) {
-        const member = sequence.members.find(m => m.userId === userId);
-        if (!member) {
-          return res.status(403).json({
-            success: false,
-            error: 'You must be enrolled in this sequence to participate'
-          });
-        }
-        if (member.username) resolvedUsername = member.username;
-      }
+    // Same draft/enrollment rules as joining over the socket
+    const access = await checkActivityAccess(activity, req.user, sequenceId);
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: access.message,
+        code: access.reason
+      });
     }
 
-    await activity.addParticipant(userId, resolvedUsername);
+    await activity.addParticipant(userId, access.username || username);
     
     res.json({
       success: true,
@@ -605,68 +663,91 @@ router.post('/:id/participants', async (req, res) => {
 });
 
 // Submit rating
-router.post('/:id/rating', async (req, res) => {
+router.post('/:id/rating', authenticate, async (req, res) => {
   try {
-    const { userId, position, objectName, slotNumber = 1, questionId = null } = req.body;
+    const { position, objectName, slotNumber, questionId } = req.body;
+
+    const { rating } = await submitRating(io, {
+      activityId: req.params.id,
+      userId: req.user.id,
+      position,
+      objectName,
+      slotNumber,
+      questionId
+    });
 
-    if (!userId || !position || typeof position.x !== 'number' || typeof position.y !== 'number') {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID and valid position are required'
-      });
+    res.json({
+      success: true,
+      data: rating
+    });
+  } catch (error) {
+    if (error instanceof SubmissionError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
     }
+    console.error('Error submitting rating:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit rating'
+    });
+  }
+});
 
-    if (position.x < 0 || position.x > 1 || position.y < 0 || position.y > 1) {
-      return res.status(400).json({
-        success: false,
-        error: 'Position coordinates must be between 0 and 1'
-      });
-    }
+// Submit comment
+router.post('/:id/comment', authenticate, async (req, res) => {
+  const startTime = Date.now();
+  console.log(`💬 [COMMENT] Request received - Activity: ${req.params.id}, User: ${req.user.id}, Slot: ${req.body.slotNumber}`);
 
-    // Basic slotNumber validation (must be positive integer)
-    if (slotNumber < 1 || !Number.isInteger(slotNumber)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Slot number must be a positive integer'
-      });
+  try {
+    const { text, objectName, slotNumber, questionId } = req.body;
+
+    const { comment } = await submitComment(io, {
+      activityId: req.params.id,
+      userId: req.user.id,
+      text,
+      objectName,
+      slotNumber,
+      questionId
+    });
+
+    console.log(`✅ [COMMENT] Complete in ${Date.now() - startTime}ms`);
+
+    res.json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    if (error instanceof SubmissionError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
     }
+    console.error('Error submitting comment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit comment'
+    });
+  }
+});
 
-    const activity = await Activity.findOne({ id: req.params.id });
+// Vote on comment
+router.post('/:id/comment/:commentId/vote', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id;
 
+    const activity = await Activity.findOne({ id: req.params.id });
+    
     if (!activity) {
       return res.status(404).json({
         success: false,
         error: 'Activity not found'
       });
     }
-
+    
     if (activity.status !== 'active') {
       return res.status(400).json({
         success: false,
         error: 'Activity is not active'
       });
     }
-
-    // Solo Tracker Mode: maxEntries === 0 means unlimited entries but creator-only
-    if (isSoloTrackerMode(activity)) {
-      if (!isActivityCreator(activity, userId)) {
-        return res.status(403).json({
-          success: false,
-          error: 'Only the creator can add entries to this activity'
-        });
-      }
-      // No slot limit for unlimited mode - any positive integer is valid
-    } else if (activity.activityType !== 'snapshot') {
-      // Standard mode: Validate slot number against activity's maxEntries
-      // Snapshot uses slotNumber to distinguish questions, not extra entries per user
-      if (slotNumber > (activity.maxEntries || 1)) {
-        return res.status(400).json({
-          success: false,
-          error: `This activity only allows ${activity.maxEntries || 1} entry slot(s)`
-        });
-      }
-    }
-
+    
     // Find participant to get username
     const participant = activity.participants.find(p => p.id === userId);
     if (!participant) {
@@ -676,76 +757,153 @@ router.post('/:id/rating', async (req, res) => {
       });
     }
 
-    const updatedActivity = await activity.addRating(userId, participant.username, position, objectName, slotNumber, questionId);
-
-    // Return the new rating
-    const newRating = updatedActivity.ratings.find(r => r.userId === userId && r.slotNumber === slotNumber);
-
+    // Comments hidden by the reveal policy can't be voted on or probed by ID
+    const comment = activity.comments.find(c => c.id === req.params.commentId);
+    if (!comment || (comment.userId !== userId && !(await canSeeOthers(activity, req.user)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+    
+    await activity.voteComment(req.params.commentId, userId, participant.username);
+    
+    // Return the updated comment
+    const updatedComment = activity.comments.find(c => c.id === req.params.commentId);
+    
     // Broadcast to WebSocket clients
-    if (io && newRating) {
-      io.to(req.params.id).emit('rating_added', {
-        rating: newRating
+    if (updatedComment) {
+      await broadcastToActivity(io, req.params.id, 'comment_voted', {
+        comment: updatedComment
       });
-
-      // Also broadcast updated comment if user has one for this slot
-      const updatedComment = updatedActivity.comments.find(c => c.userId === userId && c.slotNumber === slotNumber);
-      if (updatedComment) {
-        io.to(req.params.id).emit('comment_updated', {
-          comment: updatedComment
-        });
-      }
     }
-
+    
     res.json({
       success: true,
-      data: newRating
+      data: updatedComment
     });
   } catch (error) {
-    console.error('Error submitting rating:', error);
+    console.error('Error voting on comment:', error);
+
+    // Return 400 for all known business logic errors
+    const businessLogicErrors = [
+      'Vote limit reached',
+      'Cannot vote on your own comment',
+      'Comment not found',
+    ];
+    if (error.message && businessLogicErrors.some(msg => error.message.includes(msg))) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
-      error: 'Failed to submit rating'
+      error: error.message || 'Failed to vote on comment'
     });
   }
 });
 
-// Submit comment
-router.post('/:id/comment', async (req, res) => {
-  const startTime = Date.now();
-  console.log(`💬 [COMMENT] Request received - Activity: ${req.params.id}, User: ${req.body.userId}, Slot: ${req.body.slotNumber}`);
-
+// Start the next round: new ratings and comments go into it, earlier rounds are kept
+router.post('/:id/rounds/next', authenticate, requireActivityRole(FACILITATOR_ROLES, CAPABILITIES.OPEN_CLOSE_ACTIVITIES), async (req, res) => {
   try {
-    const { userId, text, objectName, slotNumber = 1, questionId = null } = req.body;
+    const activity = req.activity;
 
-    if (!userId || !text || typeof text !== 'string') {
+    if (activity.status !== 'active') {
       return res.status(400).json({
         success: false,
-        error: 'User ID and comment text are required'
+        error: 'Activity is not active'
       });
     }
 
-    if (text.trim().length === 0) {
+    const { label } = req.body;
+    if (label !== undefined && (typeof label !== 'string' || label.length > 50)) {
       return res.status(400).json({
         success: false,
-        error: 'Comment text cannot be empty'
+        error: 'Round label must be a string of up to 50 characters'
       });
     }
 
-    if (text.length > 500) {
-      return res.status(400).json({
+    await activity.startNextRound(label ? label.trim() : '', req.user.id);
+    const round = activity.rounds[activity.rounds.length - 1];
+
+    await broadcastToActivity(io, activity.id, 'round_started', {
+      currentRound: activity.currentRound,
+      round
+    });
+
+    res.json({
+      success: true,
+      data: {
+        currentRound: activity.currentRound,
+        rounds: activity.rounds
+      }
+    });
+  } catch (error) {
+    console.error('Error starting next round:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start next round'
+    });
+  }
+});
+
+// Get how each participant's placement moved over the session.
+// Optional filters: ?userId=, ?slotNumber=, ?questionId=
+router.get('/:id/trajectories', authenticate.optional, async (req, res) => {
+  try {
+    const activity = await Activity.findOne({ id: req.params.id });
+
+    if (!activity) {
+      return res.status(404).json({
         success: false,
-        error: 'Comment must be less than 500 characters'
+        error: 'Activity not found'
       });
     }
 
-    // Basic slotNumber validation (must be positive integer)
-    if (slotNumber < 1 || !Number.isInteger(slotNumber)) {
+    const slotNumber = req.query.slotNumber !== undefined ? Number(req.query.slotNumber) : null;
+    if (slotNumber !== null && (!Number.isInteger(slotNumber) || slotNumber < 1)) {
       return res.status(400).json({
         success: false,
         error: 'Slot number must be a positive integer'
       });
     }
 
+    // Viewers who can't see others yet only get their own trajectories
+    let userId = req.query.userId || null;
+    if (!(await canSeeOthers(activity, req.user))) {
+      if (!req.user || (userId && userId !== req.user.id)) {
+        return res.json({ success: true, data: { activityId: activity.id, trajectories: [], entriesHidden: true } });
+      }
+      userId = req.user.id;
+    }
+
+    const trajectories = buildTrajectories(activity, {
+      userId,
+      slotNumber,
+      questionId: req.query.questionId || null
+    });
+
+    res.json({
+      success: true,
+      data: {
+        activityId: activity.id,
+        trajectories
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trajectories:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trajectories'
+    });
+  }
+});
+
+// Get a comment's edit history, oldest first
+router.get('/:id/comment/:commentId/revisions', authenticate.optional, async (req, res) => {
+  try {
     const activity = await Activity.findOne({ id: req.params.id });
 
     if (!activity) {
@@ -755,105 +913,117 @@ router.post('/:id/comment', async (req, res) => {
       });
     }
 
-    if (activity.status !== 'active') {
-      return res.status(400).json({
+    const comment = activity.comments.find(c => c.id === req.params.commentId);
+    if (!comment || (comment.userId !== req.user?.id && !(await canSeeOthers(activity, req.user)))) {
+      return res.status(404).json({
         success: false,
-        error: 'Activity is not active'
+        error: 'Comment not found'
       });
     }
 
-    // Solo Tracker Mode: maxEntries === 0 means unlimited entries but creator-only
-    if (isSoloTrackerMode(activity)) {
-      if (!isActivityCreator(activity, userId)) {
-        return res.status(403).json({
-          success: false,
-          error: 'Only the creator can add entries to this activity'
-        });
-      }
-      // No slot limit for unlimited mode
-    } else if (activity.activityType !== 'snapshot') {
-      // Standard mode: Validate slot number against activity's maxEntries
-      // Snapshot uses slotNumber to distinguish questions, not extra entries per user
-      if (slotNumber > (activity.maxEntries || 1)) {
-        return res.status(400).json({
-          success: false,
-          error: `This activity only allows ${activity.maxEntries || 1} entry slot(s)`
-        });
+    res.json({
+      success: true,
+      data: {
+        commentId: comment.id,
+        text: comment.text,
+        editedAt: comment.editedAt,
+        revisions: comment.revisions
       }
-    }
+    });
+  } catch (error) {
+    console.error('Error fetching comment revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comment revisions'
+    });
+  }
+});
 
-    // Find participant to get username
-    const participant = activity.participants.find(p => p.id === userId);
-    if (!participant) {
-      return res.status(400).json({
+// Get replies to a comment
+router.get('/:id/comment/:commentId/replies', authenticate.optional, async (req, res) => {
+  try {
+    const activity = await Activity.findOne({ id: req.params.id });
+
+    if (!activity) {
+      return res.status(404).json({
         success: false,
-        error: 'User is not a participant in this activity'
+        error: 'Activity not found'
       });
     }
 
-    console.log(`💬 [COMMENT] Saving to DB...`);
-    const dbStart = Date.now();
-    await activity.addComment(userId, participant.username, text.trim(), objectName || participant.objectName, slotNumber, questionId);
-    console.log(`💬 [COMMENT] DB save took ${Date.now() - dbStart}ms`);
-
-    // Return the new comment
-    const newComment = activity.comments.find(c => c.userId === userId && c.slotNumber === slotNumber);
-
-    // Broadcast to WebSocket clients
-    if (io && newComment) {
-      console.log(`💬 [COMMENT] Broadcasting to room ${req.params.id}`);
-      io.to(req.params.id).emit('comment_added', {
-        comment: newComment
+    // Replies are hidden along with their comment until the reveal policy allows it
+    const comment = activity.comments.find(c => c.id === req.params.commentId);
+    if (!comment || (comment.userId !== req.user?.id && !(await canSeeOthers(activity, req.user)))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
       });
-    } else {
-      console.log(`⚠️ [COMMENT] WebSocket broadcast skipped - io: ${!!io}, newComment: ${!!newComment}`);
     }
 
-    const totalTime = Date.now() - startTime;
-    console.log(`✅ [COMMENT] Complete in ${totalTime}ms`);
-
     res.json({
       success: true,
-      data: newComment
+      data: {
+        commentId: comment.id,
+        replies: comment.replies
+      }
     });
   } catch (error) {
-    console.error('Error submitting comment:', error);
+    console.error('Error fetching replies:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to submit comment'
+      error: 'Failed to fetch replies'
     });
   }
 });
 
-// Vote on comment
-router.post('/:id/comment/:commentId/vote', async (req, res) => {
+// Reply to a comment
+router.post('/:id/comment/:commentId/replies', authenticate, async (req, res) => {
   try {
-    const { userId } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
+    const { reply } = await submitReply(io, {
+      activityId: req.params.id,
+      commentId: req.params.commentId,
+      user: req.user,
+      text: req.body.text
+    });
+
+    res.json({
+      success: true,
+      data: reply
+    });
+  } catch (error) {
+    if (error instanceof SubmissionError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
     }
-    
+    console.error('Error submitting reply:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit reply'
+    });
+  }
+});
+
+// Vote on a reply
+router.post('/:id/comment/:commentId/replies/:replyId/vote', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { commentId, replyId } = req.params;
+
     const activity = await Activity.findOne({ id: req.params.id });
-    
+
     if (!activity) {
       return res.status(404).json({
         success: false,
         error: 'Activity not found'
       });
     }
-    
+
     if (activity.status !== 'active') {
       return res.status(400).json({
         success: false,
         error: 'Activity is not active'
       });
     }
-    
-    // Find participant to get username
+
     const participant = activity.participants.find(p => p.id === userId);
     if (!participant) {
       return res.status(400).json({
@@ -861,31 +1031,36 @@ router.post('/:id/comment/:commentId/vote', async (req, res) => {
         error: 'User is not a participant in this activity'
       });
     }
-    
-    await activity.voteComment(req.params.commentId, userId, participant.username);
-    
-    // Return the updated comment
-    const updatedComment = activity.comments.find(c => c.id === req.params.commentId);
-    
-    // Broadcast to WebSocket clients
-    if (io && updatedComment) {
-      io.to(req.params.id).emit('comment_voted', {
-        comment: updatedComment
+
+    // Replies are visible along with the comment they belong to
+    const comment = activity.comments.find(c => c.id === commentId);
+    if (!comment || (comment.userId !== userId && !(await canSeeOthers(activity, req.user)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reply not found'
       });
     }
-    
+
+    await activity.voteReply(commentId, replyId, userId, participant.username);
+
+    const updatedReply = comment.replies.find(r => r.id === replyId);
+
+    await broadcastToActivity(io, req.params.id, 'reply_voted', {
+      commentId,
+      commentUserId: comment.userId,
+      reply: updatedReply
+    });
+
     res.json({
       success: true,
-      data: updatedComment
+      data: updatedReply
     });
   } catch (error) {
-    console.error('Error voting on comment:', error);
+    console.error('Error voting on reply:', error);
 
-    // Return 400 for all known business logic errors
     const businessLogicErrors = [
-      'Vote limit reached',
-      'Cannot vote on your own comment',
-      'Comment not found',
+      'Cannot vote on your own reply',
+      'Reply not found'
     ];
     if (error.message && businessLogicErrors.some(msg => error.message.includes(msg))) {
       return res.status(400).json({
@@ -896,15 +1071,71 @@ router.post('/:id/comment/:commentId/vote', async (req, res) => {
 
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to vote on comment'
+      error: 'Failed to vote on reply'
+    });
+  }
+});
+
+// Delete a reply: its author, or a facilitator moderating the discussion
+router.delete('/:id/comment/:commentId/replies/:replyId', authenticate, async (req, res) => {
+  try {
+    const { commentId, replyId } = req.params;
+
+    const activity = await Activity.findOne({ id: req.params.id });
+
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found'
+      });
+    }
+
+    const comment = activity.comments.find(c => c.id === commentId);
+    const reply = comment?.replies.find(r => r.id === replyId);
+    if (!reply) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reply not found'
+      });
+    }
+
+    if (reply.userId !== req.user.id) {
+      const role = await getActivityRole(activity, req.user, CAPABILITIES.EDIT_ACTIVITIES);
+      if (!FACILITATOR_ROLES.includes(role)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only delete your own replies'
+        });
+      }
+    }
+
+    await activity.removeReply(commentId, replyId);
+
+    await broadcastToActivity(io, req.params.id, 'reply_removed', {
+      commentId,
+      commentUserId: comment.userId,
+      replyId,
+      removedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Reply deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting reply:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete reply'
     });
   }
 });
 
 // Submit email
-router.post('/:id/email', async (req, res) => {
+router.post('/:id/email', authenticate, async (req, res) => {
   try {
-    const { email, userId } = req.body;
+    const { email } = req.body;
+    const userId = req.user.id;
     
     if (!email || !email.trim()) {
       return res.status(400).json({
@@ -948,7 +1179,7 @@ router.post('/:id/email', async (req, res) => {
     // Add email
     activity.emails.push({
       email: email.toLowerCase().trim(),
-      userId: userId || null,
+      userId: userId,
       timestamp: new Date()
     });
     
@@ -970,7 +1201,7 @@ router.post('/:id/email', async (req, res) => {
 // Analytics endpoints
 
 // Get analytics stats for a specific activity
-router.get('/:id/analytics', async (req, res) => {
+router.get('/:id/analytics', authenticate.optional, async (req, res) => {
   try {
     const activity = await Activity.findOne({ id: req.params.id });
     
@@ -981,16 +1212,12 @@ router.get('/:id/analytics', async (req, res) => {
       });
     }
     
-    const stats = {
-      participants: activity.participants.length,
-      completedMappings: activity.ratings.length,
-      comments: activity.comments.length,
-      emails: (activity.emails || []).length,
-      votes: activity.comments.reduce((total, comment) => total + comment.votes.length, 0)
-    };
-    
+    const stats = await buildActivityStats(activity, req.user, req.query);
     res.json(stats);
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
     console.error('Error fetching activity analytics:', error);
     res.status(500).json({
       success: false,
@@ -999,11 +1226,11 @@ router.get('/:id/analytics', async (req, res) => {
   }
 });
 
-// Sync starter data to database
-router.post('/:id/sync-starter-data', async (req, res) => {
+// Cluster the activity's placements (k-means or DBSCAN) with a summary per cluster
+router.get('/:id/analytics/clusters', authenticate.optional, async (req, res) => {
   try {
     const activity = await Activity.findOne({ id: req.params.id });
-    
+
     if (!activity) {
       return res.status(404).json({
         success: false,
@@ -1011,6 +1238,57 @@ router.post('/:id/sync-starter-data', async (req, res) => {
       });
     }
 
+    const options = parseClusterQuery(req.query);
+
+    // Only full views are cached; viewers who can't see others yet get their own entries
+    const result = await canSeeOthers(activity, req.user)
+      ? getClusters(activity, options)
+      : clusterActivity(hideOthersEntries(activity.toObject(), req.user?.id), options);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Error clustering activity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cluster activity'
+    });
+  }
+});
+
+// Export participants, ratings, comments, votes and snapshot questions as tidy tables.
+// ?format=json|csv|xlsx, ?table= (csv), ?pseudonymize=true, ?includeEmails=true (owners and admins)
+router.get('/:id/export', authenticate, requireActivityRole(FACILITATOR_ROLES), async (req, res) => {
+  try {
+    const options = parseExportQuery(req.query);
+    if (options.includeEmails && !OWNER_ROLES.includes(req.activityRole)) {
+      return res.status(403).json({ success: false, error: 'Only owners and admins can export emails', code: 'forbidden' });
+    }
+
+    const activity = req.activity;
+    await sendExport(res, `${activity.urlName || activity.id}-export`, buildActivityExport(activity, options), options);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Error exporting activity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export activity'
+    });
+  }
+});
+
+// Sync starter data to database
+router.post('/:id/sync-starter-data', authenticate, requireActivityRole(FACILITATOR_ROLES, CAPABILITIES.EDIT_ACTIVITIES), async (req, res) => {
+  try {
+    const activity = req.activity;
+
     // Remove existing starter data participants/ratings/comments
     // Filter by both ID pattern and username to catch all starter data
     activity.participants = activity.participants.filter(p => 
@@ -1063,6 +1341,12 @@ router.post('/:id/sync-starter-data', async (req, res) => {
 
     const updatedActivity = await activity.save();
 
+    // Bumps syncVersion, so cached clusters are recomputed, and resyncs clients
+    const { emails, ratingHistory, ...broadcastObj } = updatedActivity.toObject();
+    await broadcastToActivity(io, req.params.id, 'activity_updated', {
+      activity: broadcastObj
+    });
+
     // Transform response
     const activityObj = updatedActivity.toObject();
     const transformedActivity = {
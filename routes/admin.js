@@ -1,12 +1,15 @@
 const express = require('express');
 const router = express.Router();
+const authenticate = require('../middleware/authenticate');
 const requireAdmin = require('../middleware/requireAdmin');
 const User = require('../models/User');
 const Activity = require('../models/Activity');
 const Sequence = require('../models/Sequence');
+const { parseSeriesQuery, getEngagementSeries } = require('../services/engagementMetrics');
+const { ServiceError } = require('../services/errors');
 
-// All routes require admin role
-router.use(requireAdmin);
+// All routes require an authenticated admin
+router.use(authenticate, requireAdmin);
 
 // GET /api/admin/stats — platform-wide aggregation
 router.get('/stats', async (req, res) => {
@@ -53,6 +56,20 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// GET /api/admin/stats/timeseries — daily or weekly engagement from the rollups
+// (?interval=day|week&from=&to=&activityType=&sequenceId=&creatorId=)
+router.get('/stats/timeseries', async (req, res) => {
+  try {
+    res.json(await getEngagementSeries(parseSeriesQuery(req.query)));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Error fetching engagement series:', error);
+    res.status(500).json({ error: 'Failed to fetch engagement series' });
+  }
+});
+
 // GET /api/admin/users?search= — list all users (limit 200)
 router.get('/users', async (req, res) => {
   try {
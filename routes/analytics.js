@@ -1,4 +1,7 @@
 const express = require('express');
+const authenticate = require('../middleware/authenticate');
+const { buildActivityStats } = require('../services/activityStats');
+const { ServiceError } = require('../services/errors');
 
 module.exports = function() {
   const router = express.Router();
@@ -100,7 +103,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // Get analytics stats for a specific activity
-router.get('/stats/:activityId', async (req, res) => {
+router.get('/stats/:activityId', authenticate.optional, async (req, res) => {
   try {
     const activity = await Activity.findById(req.params.activityId);
     
@@ -111,16 +114,12 @@ router.get('/stats/:activityId', async (req, res) => {
       });
     }
     
-    const stats = {
-      participants: activity.participants.length,
-      completedMappings: activity.ratings.length,
-      comments: activity.comments.length,
-      emails: (activity.emails || []).length,
-      votes: activity.comments.reduce((total, comment) => total + comment.votes.length, 0)
-    };
-    
+    const stats = await buildActivityStats(activity, req.user, req.query);
     res.json(stats);
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
     console.error('Error fetching activity analytics:', error);
     res.status(500).json({
       success: false,
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
+const authenticate = require('../middleware/authenticate');
+const { issueTokens, verifyRefreshToken } = require('../services/authTokens');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/accountEmails');
 
 // Generate short custom ID for users
 function generateUserId() {
@@ -46,10 +50,16 @@ router.post('/signup', async (req, res) => {
 
     await user.save();
 
+    // Don't fail signup if the verification email can't be sent
+    sendVerificationEmail(user).catch(error => {
+      console.error('Failed to send verification email:', error.message);
+    });
+
     // Return user data (password excluded by toJSON)
     res.status(201).json({
       success: true,
-      user: user.toJSON()
+      user: user.toJSON(),
+      tokens: issueTokens(user)
     });
 
   } catch (error) {
@@ -107,7 +117,8 @@ router.post('/login', async (req, res) => {
     // Return user data
     res.json({
       success: true,
-      user: user.toJSON()
+      user: user.toJSON(),
+      tokens: issueTokens(user)
     });
 
   } catch (error) {
@@ -119,26 +130,252 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// POST /api/auth/migrate - Link legacy localStorage ID to user account
-router.post('/migrate', async (req, res) => {
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    let payload;
+    try {
+      payload = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findByCustomId(payload.sub);
+    if (!user || !user.isActive || (user.tokenVersion || 0) !== payload.ver) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      user: user.toJSON(),
+      tokens: issueTokens(user)
+    });
+
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Token refresh failed'
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke all refresh tokens for the current user
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    req.user.tokenVersion = (req.user.tokenVersion || 0) + 1;
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed'
+    });
+  }
+});
+
+// GET /api/auth/me - Get the authenticated user
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    user: req.user.toJSON()
+  });
+});
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    // Same response whether or not the account exists
+    const user = await User.findByEmail(email);
+    if (user && user.isActive) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send reset email'
+    });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', async (req, res) => {
   try {
-    const { userId, legacyUserId } = req.body;
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token and password are required'
+      });
+    }
 
-    if (!userId || !legacyUserId) {
+    if (password.length < 8) {
       return res.status(400).json({
         success: false,
-        error: 'User ID and legacy ID are required'
+        error: 'Password must be at least 8 characters'
       });
     }
 
-    const user = await User.findByCustomId(userId);
+    const record = await AuthToken.consume(token, 'password_reset');
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findByCustomId(record.userId);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    // The reset link was delivered to this address, so it is verified
+    user.emailVerified = true;
+    // Sign out every existing session
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Password has been reset'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password'
+    });
+  }
+});
+
+// POST /api/auth/verify-email - Confirm an email address with a verification token
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token is required'
+      });
+    }
+
+    const record = await AuthToken.consume(token, 'email_verification');
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findByCustomId(record.userId);
     if (!user) {
-      return res.status(404).json({
+      return res.status(400).json({
         success: false,
-        error: 'User not found'
+        error: 'Verification link is invalid or has expired'
       });
     }
 
+    user.emailVerified = true;
+    await user.save();
+
+    res.json({
+      success: true,
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify email'
+    });
+  }
+});
+
+// POST /api/auth/resend-verification - Send a new verification email
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification email'
+    });
+  }
+});
+
+// POST /api/auth/migrate - Link legacy localStorage ID to user account
+router.post('/migrate', authenticate, async (req, res) => {
+  try {
+    const { legacyUserId } = req.body;
+
+    if (!legacyUserId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Legacy ID is required'
+      });
+    }
+
+    const user = req.user;
+
     // Add legacy ID if not already present
     if (!user.legacyUserIds.includes(legacyUserId)) {
       user.legacyUserIds.push(legacyUserId);
@@ -226,10 +463,18 @@ router.get('/user/:id', async (req, res) => {
 });
 
 // PUT /api/auth/user/:id - Update user profile
-router.put('/user/:id', async (req, res) => {
+router.put('/user/:id', authenticate, async (req, res) => {
   try {
     const { name, bio, profileVisibility } = req.body;
 
+    // Users can only edit their own profile (admins can edit anyone)
+    if (req.user.id !== req.params.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only update your own profile'
+      });
+    }
+
     const user = await User.findByCustomId(req.params.id);
     if (!user) {
       return res.status(404).json({
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Activity = require('../models/Activity');
 const Sequence = require('../models/Sequence');
+const authenticate = require('../middleware/authenticate');
 
 function slugify(text) {
   return text
@@ -23,11 +24,8 @@ async function uniqueUrlName(base, Model) {
 
 // POST /api/import/sequence
 // Body: { sequence: { title, urlName?, description }, activities: [...] }
-router.post('/sequence', async (req, res) => {
-  const userId = req.headers['x-user-id'];
-  if (!userId) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
+router.post('/sequence', authenticate, async (req, res) => {
+  const userId = req.user.id;
 
   const { sequence: seqData, activities: activitiesData } = req.body;
 
@@ -35,6 +33,15 @@ router.post('/sequence', async (req, res) => {
     return res.status(400).json({ error: 'sequence.title and activities array are required' });
   }
 
+  // Validate parent references before creating anything
+  const graphErrors = Sequence.validateActivityGraph(activitiesData.map((a, i) => ({
+    activityId: a._ref || `#${i + 1}`,
+    parentActivityIds: a.parentActivityRefs || []
+  })));
+  if (graphErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid activity graph', details: graphErrors });
+  }
+
   const createdActivityIds = []; // for cleanup on failure
   const refToId = {}; // _ref → real activity id
 
@@ -1,19 +1,96 @@
 const express = require('express');
-const router = express.Router();
 const Sequence = require('../models/Sequence');
 const Activity = require('../models/Activity');
 const User = require('../models/User');
+const authenticate = require('../middleware/authenticate');
+const requireAdmin = require('../middleware/requireAdmin');
+const { requireSequenceRole, requireSequenceCapability } = require('../middleware/requireRole');
+const {
+  OWNER_ROLES,
+  FACILITATOR_ROLES,
+  CAPABILITIES,
+  getActivityRole,
+  getSequenceRole,
+  hasSequenceCapability
+} = require('../services/permissions');
+const {
+  SEQUENCE_EVENTS,
+  emitToSequence,
+  emitSequenceUpdated,
+  emitSequenceCompleted,
+  emitMemberJoined,
+  emitMemberLeft,
+  snapshotProgression,
+  emitProgressionChanges
+} = require('../services/sequenceEvents');
+const {
+  buildJourneyAnalytics,
+  JOURNEY_CSV_COLUMNS,
+  journeyCsvRows
+} = require('../services/sequenceAnalytics');
+const { sendCsv } = require('../services/csv');
+const { parseExportQuery, buildSequenceExport, sendExport } = require('../services/dataExport');
+const { ServiceError } = require('../services/errors');
+const { notifyStatusChanged } = require('../services/revealPolicy');
+const { clearLivePreviewCache } = require('../services/positionPreview');
+
+// Fields PUT /:id only accepts from facilitators with the matching capability
+// (the route itself only requires editActivities)
+const RESTRICTED_SEQUENCE_FIELDS = {
+  invitedEmails: CAPABILITIES.MANAGE_MEMBERS,
+  requireInvitation: CAPABILITIES.MANAGE_MEMBERS,
+  status: CAPABILITIES.OPEN_CLOSE_ACTIVITIES
+};
+
+// Member and invitation emails are only visible to facilitators with viewEmails
+function serializeSequence(sequence, user) {
+  const sequenceObj = sequence.toObject();
+  if (!hasSequenceCapability(sequence, user, CAPABILITIES.VIEW_EMAILS)) {
+    sequenceObj.members = sequenceObj.members.map(({ email, ...member }) => member);
+    delete sequenceObj.invitedEmails;
+  }
+  return sequenceObj;
+}
+
+// Rejects activity graphs with duplicates, dangling parent IDs or cycles
+function sendInvalidGraph(res, activities) {
+  const details = Sequence.validateActivityGraph(activities);
+  if (details.length === 0) return false;
+  res.status(400).json({ error: 'Invalid activity graph', details });
+  return true;
+}
+
+// Returns the IDs in activityIds the user has no role on. Attaching an activity
+// to a sequence makes its facilitators co-facilitators of the activity, so
+// users may only attach activities they already manage.
+async function findUnmanagedActivityIds(activityIds, user) {
+  const activities = await Activity.find({ id: { $in: activityIds } });
+  const unmanaged = [];
+  for (const activityId of activityIds) {
+    const activity = activities.find(a => a.id === activityId);
+    if (!activity || !(await getActivityRole(activity, user, CAPABILITIES.EDIT_ACTIVITIES))) {
+      unmanaged.push(activityId);
+    }
+  }
+  return unmanaged;
+}
+
+module.exports = function(io) {
+  const router = express.Router();
 
 // Get all sequences (admin)
-// Optional ?createdBy=userId to scope to a specific creator
-router.get('/admin', async (req, res) => {
+// Optional ?createdBy=userId to scope to sequences the user created or co-facilitates
+router.get('/admin', authenticate, requireAdmin, async (req, res) => {
   try {
     const query = {};
     if (req.query.createdBy) {
-      query.createdBy = req.query.createdBy;
+      query.$or = [
+        { createdBy: req.query.createdBy },
+        { 'facilitators.userId': req.query.createdBy }
+      ];
     }
     const sequences = await Sequence.find(query).sort({ createdAt: -1 });
-    res.json(sequences);
+    res.json(sequences.map(sequence => serializeSequence(sequence, req.user)));
   } catch (error) {
     console.error('Error fetching sequences:', error);
     res.status(500).json({ error: 'Failed to fetch sequences' });
@@ -21,7 +98,7 @@ router.get('/admin', async (req, res) => {
 });
 
 // Get waitlist sequences — publicly visible, status = 'waitlist'
-router.get('/waitlist', async (req, res) => {
+router.get('/waitlist', authenticate.optional, async (req, res) => {
   try {
     const sequences = await Sequence.find({ status: 'waitlist' }).sort({ createdAt: -1 });
 
@@ -43,7 +120,7 @@ router.get('/waitlist', async (req, res) => {
           })
         );
         return {
-          ...sequence.toObject(),
+          ...serializeSequence(sequence, req.user),
           activities: activitiesWithDetails,
         };
       })
@@ -57,7 +134,7 @@ router.get('/waitlist', async (req, res) => {
 });
 
 // Get public sequences (excludes invitation-only sequences)
-router.get('/public', async (req, res) => {
+router.get('/public', authenticate.optional, async (req, res) => {
   try {
     const sequences = await Sequence.find({
       status: { $in: ['active'] }, // Only active sequences in public listing
@@ -90,7 +167,7 @@ router.get('/public', async (req, res) => {
         );
 
         return {
-          ...sequence.toObject(),
+          ...serializeSequence(sequence, req.user),
           activities: activitiesWithDetails
         };
       })
@@ -104,7 +181,7 @@ router.get('/public', async (req, res) => {
 });
 
 // Get sequences for a user (only shows sequences they're enrolled in)
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', authenticate.optional, async (req, res) => {
   try {
     const { userId } = req.params;
     const sequences = await Sequence.find({
@@ -139,7 +216,7 @@ router.get('/user/:userId', async (req, res) => {
         );
 
         return {
-          ...sequence.toObject(),
+          ...serializeSequence(sequence, req.user),
           activities: activitiesWithDetails
         };
       })
@@ -153,7 +230,7 @@ router.get('/user/:userId', async (req, res) => {
 });
 
 // Get sequence by URL name
-router.get('/by-url/:urlName', async (req, res) => {
+router.get('/by-url/:urlName', authenticate.optional, async (req, res) => {
   try {
     const { urlName } = req.params;
     const sequence = await Sequence.findOne({ urlName });
@@ -179,7 +256,7 @@ router.get('/by-url/:urlName', async (req, res) => {
     );
 
     res.json({
-      ...sequence.toObject(),
+      ...serializeSequence(sequence, req.user),
       activities: activitiesWithDetails
     });
   } catch (error) {
@@ -189,7 +266,7 @@ router.get('/by-url/:urlName', async (req, res) => {
 });
 
 // Get single sequence by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticate.optional, async (req, res) => {
   try {
     const { id } = req.params;
     const sequence = await Sequence.findOne({ id });
@@ -218,7 +295,7 @@ router.get('/:id', async (req, res) => {
     );
 
     res.json({
-      ...sequence.toObject(),
+      ...serializeSequence(sequence, req.user),
       activities: activitiesWithDetails
     });
   } catch (error) {
@@ -228,10 +305,10 @@ router.get('/:id', async (req, res) => {
 });
 
 // Get sequence by urlName
-router.get('/url/:urlName', async (req, res) => {
+router.get('/url/:urlName', authenticate.optional, async (req, res) => {
   try {
     const { urlName } = req.params;
-    const { userId } = req.query;
+    const userId = req.user?.id;
     const sequence = await Sequence.findOne({ urlName });
 
     if (!sequence) {
@@ -265,7 +342,7 @@ router.get('/url/:urlName', async (req, res) => {
     );
 
     res.json({
-      ...sequence.toObject(),
+      ...serializeSequence(sequence, req.user),
       activities: activitiesWithDetails
     });
   } catch (error) {
@@ -275,15 +352,17 @@ router.get('/url/:urlName', async (req, res) => {
 });
 
 // Create new sequence
-router.post('/', async (req, res) => {
+router.post('/', authenticate, async (req, res) => {
   try {
-    const { title, urlName, description, welcomePage, activities, createdBy } = req.body;
+    const { title, urlName, description, welcomePage, activities } = req.body;
 
     // Validate required fields
     if (!title || !urlName) {
       return res.status(400).json({ error: 'Title and URL name are required' });
     }
 
+    if (activities && sendInvalidGraph(res, activities)) return;
+
     // Check if urlName is unique
     const existing = await Sequence.findOne({ urlName });
     if (existing) {
@@ -294,7 +373,7 @@ router.post('/', async (req, res) => {
       title,
       urlName,
       description: description || '',
-      createdBy: createdBy || undefined,
+      createdBy: req.user.id,
       welcomePage: welcomePage || {
         enabled: false,
         requestName: false,
@@ -307,7 +386,7 @@ router.post('/', async (req, res) => {
     });
 
     await sequence.save();
-    res.status(201).json(sequence);
+    res.status(201).json(serializeSequence(sequence, req.user));
   } catch (error) {
     console.error('Error creating sequence:', error);
     res.status(500).json({ error: 'Failed to create sequence' });
@@ -315,14 +394,36 @@ router.post('/', async (req, res) => {
 });
 
 // Update sequence
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticate, requireSequenceCapability(CAPABILITIES.EDIT_ACTIVITIES), async (req, res) => {
   try {
-    const { id } = req.params;
     const updates = req.body;
+    const sequence = req.sequence;
+
+    // Membership and open/close fields need their own capabilities
+    const deniedFields = Object.entries(RESTRICTED_SEQUENCE_FIELDS)
+      .filter(([field, capability]) => updates[field] !== undefined && !hasSequenceCapability(sequence, req.user, capability))
+      .map(([field]) => field);
+    if (deniedFields.length > 0) {
+      return res.status(403).json({
+        error: 'You do not have permission to change these fields',
+        fields: deniedFields
+      });
+    }
 
-    const sequence = await Sequence.findOne({ id });
-    if (!sequence) {
-      return res.status(404).json({ error: 'Sequence not found' });
+    if (updates.activities) {
+      if (sendInvalidGraph(res, updates.activities)) return;
+
+      const existingIds = sequence.activities.map(a => a.activityId);
+      const addedIds = updates.activities
+        .map(a => a.activityId)
+        .filter(activityId => !existingIds.includes(activityId));
+      const unmanaged = await findUnmanagedActivityIds(addedIds, req.user);
+      if (unmanaged.length > 0) {
+        return res.status(403).json({
+          error: 'You do not have permission to add these activities',
+          activityIds: unmanaged
+        });
+      }
     }
 
     // Update allowed fields
@@ -343,7 +444,8 @@ router.put('/:id', async (req, res) => {
     if (updates.status) sequence.status = updates.status;
 
     await sequence.save();
-    res.json(sequence);
+    emitSequenceUpdated(io, sequence);
+    res.json(serializeSequence(sequence, req.user));
   } catch (error) {
     console.error('Error updating sequence:', error);
     res.status(500).json({ error: 'Failed to update sequence' });
@@ -351,14 +453,9 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete sequence
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticate, requireSequenceRole(OWNER_ROLES), async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await Sequence.deleteOne({ id });
-
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'Sequence not found' });
-    }
+    await Sequence.deleteOne({ id: req.sequence.id });
 
     res.json({ message: 'Sequence deleted successfully' });
   } catch (error) {
@@ -368,19 +465,15 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Add member to sequence
-router.post('/:id/members', async (req, res) => {
+router.post('/:id/members', authenticate, requireSequenceCapability(CAPABILITIES.MANAGE_MEMBERS), async (req, res) => {
   try {
-    const { id } = req.params;
     const { userId, email, username } = req.body;
 
     if (!userId) {
       return res.status(400).json({ error: 'User ID is required' });
     }
 
-    const sequence = await Sequence.findOne({ id });
-    if (!sequence) {
-      return res.status(404).json({ error: 'Sequence not found' });
-    }
+    const sequence = req.sequence;
 
     // Check invitation requirement
     if (sequence.requireInvitation && email) {
@@ -389,8 +482,12 @@ router.post('/:id/members', async (req, res) => {
       }
     }
 
+    const isNewMember = !sequence.members.some(m => m.userId === userId);
     await sequence.addMember(userId, email, username);
-    res.json(sequence);
+    if (isNewMember) {
+      emitMemberJoined(io, sequence.id, sequence.members.find(m => m.userId === userId));
+    }
+    res.json(serializeSequence(sequence, req.user));
   } catch (error) {
     console.error('Error adding member:', error);
     if (error.message === 'Email not invited to this sequence') {
@@ -401,14 +498,12 @@ router.post('/:id/members', async (req, res) => {
 });
 
 // Enroll in sequence (user self-enrollment)
-router.post('/:id/enroll', async (req, res) => {
+router.post('/:id/enroll', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId, email, displayName } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+    const { displayName } = req.body;
+    const userId = req.user.id;
+    const email = req.user.email;
 
     const sequence = await Sequence.findOne({ id });
     if (!sequence) {
@@ -422,8 +517,12 @@ router.post('/:id/enroll', async (req, res) => {
       }
     }
 
+    const isNewMember = !sequence.members.some(m => m.userId === userId);
     await sequence.addMember(userId, email, displayName);
-    res.json({ success: true, sequence });
+    if (isNewMember) {
+      emitMemberJoined(io, sequence.id, sequence.members.find(m => m.userId === userId));
+    }
+    res.json({ success: true, sequence: serializeSequence(sequence, req.user) });
   } catch (error) {
     console.error('Error enrolling in sequence:', error);
     if (error.message === 'Email not invited to this sequence') {
@@ -437,7 +536,7 @@ router.post('/:id/enroll', async (req, res) => {
 });
 
 // Remove member from sequence
-router.delete('/:id/members/:userId', async (req, res) => {
+router.delete('/:id/members/:userId', authenticate, async (req, res) => {
   try {
     const { id, userId } = req.params;
 
@@ -446,18 +545,140 @@ router.delete('/:id/members/:userId', async (req, res) => {
       return res.status(404).json({ error: 'Sequence not found' });
     }
 
+    // Members can leave on their own; removing others requires manageMembers
+    if (userId !== req.user.id && !hasSequenceCapability(sequence, req.user, CAPABILITIES.MANAGE_MEMBERS)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this sequence' });
+    }
+
+    const wasMember = sequence.members.some(m => m.userId === userId);
     await sequence.removeMember(userId);
-    res.json(sequence);
+    if (wasMember) {
+      emitMemberLeft(io, sequence.id, userId);
+    }
+    res.json(serializeSequence(sequence, req.user));
   } catch (error) {
     console.error('Error removing member:', error);
     res.status(500).json({ error: 'Failed to remove member' });
   }
 });
 
+// Keep only known capability flags from a request body
+function pickCapabilities(capabilities = {}) {
+  const picked = {};
+  for (const capability of Object.values(CAPABILITIES)) {
+    if (typeof capabilities[capability] === 'boolean') {
+      picked[capability] = capabilities[capability];
+    }
+  }
+  return picked;
+}
+
+// List the owner and co-facilitators of a sequence
+router.get('/:id/facilitators', authenticate, requireSequenceRole(FACILITATOR_ROLES), async (req, res) => {
+  try {
+    const sequence = req.sequence;
+    const userIds = [sequence.createdBy, ...sequence.facilitators.map(f => f.userId)].filter(Boolean);
+    const users = await User.find({ id: { $in: userIds } }).select('id name email').lean();
+    const canViewEmails = hasSequenceCapability(sequence, req.user, CAPABILITIES.VIEW_EMAILS);
+
+    const describeUser = (userId) => {
+      const user = users.find(u => u.id === userId);
+      return {
+        userId,
+        name: user?.name || '',
+        ...(canViewEmails && { email: user?.email || '' })
+      };
+    };
+
+    res.json({
+      owner: sequence.createdBy ? describeUser(sequence.createdBy) : null,
+      facilitators: sequence.facilitators.map(f => ({
+        ...describeUser(f.userId),
+        capabilities: f.capabilities,
+        addedBy: f.addedBy,
+        addedAt: f.addedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching facilitators:', error);
+    res.status(500).json({ error: 'Failed to fetch facilitators' });
+  }
+});
+
+// Add a co-facilitator (by user ID or email)
+router.post('/:id/facilitators', authenticate, requireSequenceRole(OWNER_ROLES), async (req, res) => {
+  try {
+    const { userId, email, capabilities } = req.body;
+
+    if (!userId && !email) {
+      return res.status(400).json({ error: 'User ID or email is required' });
+    }
+
+    const user = userId ? await User.findByCustomId(userId) : await User.findByEmail(email);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const sequence = req.sequence;
+    await sequence.addFacilitator(user.id, pickCapabilities(capabilities), req.user.id);
+    res.status(201).json(serializeSequence(sequence, req.user));
+  } catch (error) {
+    console.error('Error adding facilitator:', error);
+    if (error.message === 'The sequence creator is already a facilitator') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to add facilitator' });
+  }
+});
+
+// Update a co-facilitator's capabilities
+router.patch('/:id/facilitators/:userId', authenticate, requireSequenceRole(OWNER_ROLES), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const sequence = req.sequence;
+
+    if (!sequence.facilitators.some(f => f.userId === userId)) {
+      return res.status(404).json({ error: 'Facilitator not found' });
+    }
+
+    await sequence.addFacilitator(userId, pickCapabilities(req.body.capabilities));
+    res.json(serializeSequence(sequence, req.user));
+  } catch (error) {
+    console.error('Error updating facilitator:', error);
+    res.status(500).json({ error: 'Failed to update facilitator' });
+  }
+});
+
+// Remove a co-facilitator (facilitators can also step down themselves)
+router.delete('/:id/facilitators/:userId', authenticate, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const sequence = await Sequence.findOne({ id });
+    if (!sequence) {
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+
+    const isOwner = OWNER_ROLES.includes(getSequenceRole(sequence, req.user));
+    if (userId !== req.user.id && !isOwner) {
+      return res.status(403).json({ error: 'Only the sequence owner can remove facilitators' });
+    }
+
+    if (!sequence.facilitators.some(f => f.userId === userId)) {
+      return res.status(404).json({ error: 'Facilitator not found' });
+    }
+
+    await sequence.removeFacilitator(userId);
+    res.json(serializeSequence(sequence, req.user));
+  } catch (error) {
+    console.error('Error removing facilitator:', error);
+    res.status(500).json({ error: 'Failed to remove facilitator' });
+  }
+});
+
 // Add activity to sequence
-router.post('/:id/activities', async (req, res) => {
+router.post('/:id/activities', authenticate, requireSequenceCapability(CAPABILITIES.EDIT_ACTIVITIES), async (req, res) => {
   try {
-    const { id } = req.params;
     const { activityId, order, autoClose, duration } = req.body;
 
     if (!activityId || order === undefined) {
@@ -470,13 +691,14 @@ router.post('/:id/activities', async (req, res) => {
       return res.status(404).json({ error: 'Activity not found' });
     }
 
-    const sequence = await Sequence.findOne({ id });
-    if (!sequence) {
-      return res.status(404).json({ error: 'Sequence not found' });
+    if (!(await getActivityRole(activity, req.user, CAPABILITIES.EDIT_ACTIVITIES))) {
+      return res.status(403).json({ error: 'You do not have permission to add this activity' });
     }
 
+    const sequence = req.sequence;
     await sequence.addActivity(activityId, order, autoClose || false, duration || null);
-    res.json(sequence);
+    emitSequenceUpdated(io, sequence);
+    res.json(serializeSequence(sequence, req.user));
   } catch (error) {
     console.error('Error adding activity:', error);
     res.status(500).json({ error: 'Failed to add activity' });
@@ -484,39 +706,62 @@ router.post('/:id/activities', async (req, res) => {
 });
 
 // Remove activity from sequence
-router.delete('/:id/activities/:activityId', async (req, res) => {
+router.delete('/:id/activities/:activityId', authenticate, requireSequenceCapability(CAPABILITIES.EDIT_ACTIVITIES), async (req, res) => {
   try {
-    const { id, activityId } = req.params;
-
-    const sequence = await Sequence.findOne({ id });
-    if (!sequence) {
-      return res.status(404).json({ error: 'Sequence not found' });
-    }
+    const { activityId } = req.params;
+    const sequence = req.sequence;
 
     await sequence.removeActivity(activityId);
-    res.json(sequence);
+    emitSequenceUpdated(io, sequence);
+    res.json(serializeSequence(sequence, req.user));
   } catch (error) {
     console.error('Error removing activity:', error);
     res.status(500).json({ error: 'Failed to remove activity' });
   }
 });
 
-// Start sequence
-router.post('/:id/start', async (req, res) => {
+// Get the progression graph with each node's state (locked, ready, open, closed)
+router.get('/:id/graph', authenticate.optional, async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const sequence = await Sequence.findOne({ id });
+    const sequence = await Sequence.findOne({ id: req.params.id });
     if (!sequence) {
       return res.status(404).json({ error: 'Sequence not found' });
     }
 
+    const graph = sequence.getGraph();
+    const activities = await Activity.find({ id: { $in: graph.nodes.map(n => n.activityId) } })
+      .select('id title urlName');
+
+    graph.nodes = graph.nodes.map(node => {
+      const activity = activities.find(a => a.id === node.activityId);
+      return {
+        ...node,
+        title: activity?.title || null,
+        urlName: activity?.urlName || null
+      };
+    });
+
+    res.json({ sequenceId: sequence.id, status: sequence.status, ...graph });
+  } catch (error) {
+    console.error('Error fetching sequence graph:', error);
+    res.status(500).json({ error: 'Failed to fetch sequence graph' });
+  }
+});
+
+// Start sequence
+router.post('/:id/start', authenticate, requireSequenceCapability(CAPABILITIES.OPEN_CLOSE_ACTIVITIES), async (req, res) => {
+  try {
+    const sequence = req.sequence;
+
     if (sequence.status !== 'draft') {
       return res.status(400).json({ error: 'Sequence already started' });
     }
 
+    const before = snapshotProgression(sequence);
     await sequence.startSequence();
-    res.json(sequence);
+    emitToSequence(io, sequence.id, SEQUENCE_EVENTS.STARTED, { startedAt: sequence.startedAt });
+    emitProgressionChanges(io, sequence, before);
+    res.json(serializeSequence(sequence, req.user));
   } catch (error) {
     console.error('Error starting sequence:', error);
     res.status(500).json({ error: 'Failed to start sequence' });
@@ -524,35 +769,48 @@ router.post('/:id/start', async (req, res) => {
 });
 
 // Open next activity
-router.post('/:id/next', async (req, res) => {
+router.post('/:id/next', authenticate, requireSequenceCapability(CAPABILITIES.OPEN_CLOSE_ACTIVITIES), async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const sequence = await Sequence.findOne({ id });
-    if (!sequence) {
-      return res.status(404).json({ error: 'Sequence not found' });
-    }
+    const sequence = req.sequence;
 
+    const before = snapshotProgression(sequence);
     await sequence.openNextActivity();
-    res.json(sequence);
+    emitProgressionChanges(io, sequence, before);
+    res.json(serializeSequence(sequence, req.user));
   } catch (error) {
     console.error('Error opening next activity:', error);
-    res.status(500).json({ error: 'Failed to open next activity' });
+    res.status(400).json({ error: error.message || 'Failed to open next activity' });
   }
 });
 
-// Complete sequence
-router.post('/:id/complete', async (req, res) => {
+// Open a single ready activity (all of its parents closed)
+router.post('/:id/activities/:activityId/open', authenticate, requireSequenceCapability(CAPABILITIES.OPEN_CLOSE_ACTIVITIES), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { activityId } = req.params;
+    const sequence = req.sequence;
 
-    const sequence = await Sequence.findOne({ id });
-    if (!sequence) {
-      return res.status(404).json({ error: 'Sequence not found' });
+    if (sequence.status !== 'active') {
+      return res.status(400).json({ error: 'Sequence is not active' });
     }
 
+    const before = snapshotProgression(sequence);
+    await sequence.openActivity(activityId);
+    emitProgressionChanges(io, sequence, before);
+    res.json(serializeSequence(sequence, req.user));
+  } catch (error) {
+    console.error('Error opening activity:', error);
+    res.status(400).json({ error: error.message || 'Failed to open activity' });
+  }
+});
+
+// Complete sequence
+router.post('/:id/complete', authenticate, requireSequenceCapability(CAPABILITIES.OPEN_CLOSE_ACTIVITIES), async (req, res) => {
+  try {
+    const sequence = req.sequence;
+
     await sequence.completeSequence();
-    res.json(sequence);
+    emitSequenceCompleted(io, sequence, sequence.completedAt);
+    res.json(serializeSequence(sequence, req.user));
   } catch (error) {
     console.error('Error completing sequence:', error);
     res.status(500).json({ error: 'Failed to complete sequence' });
@@ -560,17 +818,22 @@ router.post('/:id/complete', async (req, res) => {
 });
 
 // Manually close an activity in the sequence
-router.post('/:id/activities/:activityId/close', async (req, res) => {
+router.post('/:id/activities/:activityId/close', authenticate, requireSequenceCapability(CAPABILITIES.OPEN_CLOSE_ACTIVITIES), async (req, res) => {
   try {
-    const { id, activityId } = req.params;
-
-    const sequence = await Sequence.findOne({ id });
-    if (!sequence) {
-      return res.status(404).json({ error: 'Sequence not found' });
-    }
+    const { activityId } = req.params;
+    const sequence = req.sequence;
 
+    const before = snapshotProgression(sequence);
     await sequence.closeActivity(activityId);
-    res.json(sequence);
+    // Mark it completed now so the scheduler doesn't announce the close again
+    const completed = await Activity.findOneAndUpdate(
+      { id: activityId, status: 'active' },
+      { status: 'completed' },
+      { projection: { id: 1, revealPolicy: 1 } }
+    );
+    emitProgressionChanges(io, sequence, before);
+    await notifyStatusChanged(io, completed);
+    res.json(serializeSequence(sequence, req.user));
   } catch (error) {
     console.error('Error closing activity:', error);
     res.status(400).json({ error: error.message || 'Failed to close activity' });
@@ -578,28 +841,84 @@ router.post('/:id/activities/:activityId/close', async (req, res) => {
 });
 
 // Manually reopen an activity in the sequence
-router.post('/:id/activities/:activityId/reopen', async (req, res) => {
+router.post('/:id/activities/:activityId/reopen', authenticate, requireSequenceCapability(CAPABILITIES.OPEN_CLOSE_ACTIVITIES), async (req, res) => {
   try {
-    const { id, activityId } = req.params;
-
-    const sequence = await Sequence.findOne({ id });
-    if (!sequence) {
-      return res.status(404).json({ error: 'Sequence not found' });
-    }
+    const { activityId } = req.params;
+    const sequence = req.sequence;
 
+    const before = snapshotProgression(sequence);
     await sequence.reopenActivity(activityId);
-    res.json(sequence);
+    // The scheduler marks closed activities completed; accept submissions again
+    const reopened = await Activity.findOneAndUpdate(
+      { id: activityId, status: 'completed' },
+      { status: 'active' },
+      { projection: { id: 1, revealPolicy: 1 } }
+    );
+    emitProgressionChanges(io, sequence, before);
+    if (reopened) clearLivePreviewCache(activityId);
+    await notifyStatusChanged(io, reopened);
+    res.json(serializeSequence(sequence, req.user));
   } catch (error) {
     console.error('Error reopening activity:', error);
     res.status(400).json({ error: error.message || 'Failed to reopen activity' });
   }
 });
 
+// Cohort journeys through the sequence's activities: per-member completion,
+// time to first submission and votes, plus a drop-off funnel. ?format=csv downloads it.
+router.get('/:id/analytics/journeys', authenticate, requireSequenceRole(FACILITATOR_ROLES), async (req, res) => {
+  try {
+    const sequence = req.sequence;
+    const activities = await Activity.find({ id: { $in: sequence.activities.map(a => a.activityId) } })
+      .select('id title participants ratings comments ratingHistory');
+
+    const report = buildJourneyAnalytics(sequence, activities);
+    const showEmails = hasSequenceCapability(sequence, req.user, CAPABILITIES.VIEW_EMAILS);
+    if (!showEmails) {
+      report.members.forEach(member => delete member.email);
+    }
+
+    if (req.query.format === 'csv') {
+      const columns = showEmails ? JOURNEY_CSV_COLUMNS : JOURNEY_CSV_COLUMNS.filter(column => column.key !== 'email');
+      return sendCsv(res, `${sequence.urlName || sequence.id}-journeys.csv`, columns, journeyCsvRows(report));
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error building journey analytics:', error);
+    res.status(500).json({ error: 'Failed to build journey analytics' });
+  }
+});
+
+// Export members and every activity's tables (see services/dataExport.js).
+// Emails are for owners and admins only.
+router.get('/:id/export', authenticate, requireSequenceRole(FACILITATOR_ROLES), async (req, res) => {
+  try {
+    const options = parseExportQuery(req.query);
+    if (options.includeEmails && !OWNER_ROLES.includes(req.sequenceRole)) {
+      return res.status(403).json({ error: 'Only owners and admins can export emails', code: 'forbidden' });
+    }
+
+    const sequence = req.sequence;
+    const activities = await Activity.find({ id: { $in: sequence.activities.map(a => a.activityId) } })
+      .select('-ratingHistory')
+      .lean();
+
+    await sendExport(res, `${sequence.urlName || sequence.id}-export`, buildSequenceExport(sequence, activities, options), options);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Error exporting sequence:', error);
+    res.status(500).json({ error: 'Failed to export sequence' });
+  }
+});
+
 // Get user profile within sequence context
-router.get('/:sequenceId/profile/:userId', async (req, res) => {
+router.get('/:sequenceId/profile/:userId', authenticate, async (req, res) => {
   try {
     const { sequenceId, userId } = req.params;
-    const { viewerId } = req.query;
+    const viewerId = req.user.id;
 
     console.log(`📋 Profile request - Sequence: ${sequenceId}, Target: ${userId}, Viewer: ${viewerId}`);
 
@@ -627,16 +946,14 @@ router.get('/:sequenceId/profile/:userId', async (req, res) => {
 
     console.log(`✅ Target user found: ${name}`);
 
-    // Check if viewer is a member of this sequence (only if viewerId provided and different from target)
-    if (viewerId && viewerId !== userId) {
+    // Check if viewer is a member of this sequence (when viewing someone else's profile)
+    if (viewerId !== userId) {
       const viewerMember = sequence.members.find(m => m.userId === viewerId);
       if (!viewerMember) {
         console.log(`❌ Viewer ${viewerId} not a member of sequence`);
         return res.status(403).json({ error: 'You must be a member of this sequence to view profiles' });
       }
       console.log(`✅ Viewer ${viewerId} authorized`);
-    } else if (!viewerId) {
-      console.log(`⚠️ No viewerId provided - allowing view (own profile)`);
     }
 
     // Get only activities that belong to this sequence
@@ -755,22 +1072,17 @@ router.post('/:id/check-invitation', async (req, res) => {
 });
 
 // Add emails to invitation list (admin endpoint)
-router.post('/:id/invite', async (req, res) => {
+router.post('/:id/invite', authenticate, requireSequenceCapability(CAPABILITIES.MANAGE_MEMBERS), async (req, res) => {
   try {
-    const { id } = req.params;
     const { emails } = req.body;
 
     if (!emails || !Array.isArray(emails) || emails.length === 0) {
       return res.status(400).json({ error: 'Emails array is required' });
     }
 
-    const sequence = await Sequence.findOne({ id });
-    if (!sequence) {
-      return res.status(404).json({ error: 'Sequence not found' });
-    }
-
+    const sequence = req.sequence;
     await sequence.addInvitedEmails(emails);
-    res.json(sequence);
+    res.json(serializeSequence(sequence, req.user));
   } catch (error) {
     console.error('Error adding invited emails:', error);
     res.status(500).json({ error: 'Failed to add invited emails' });
@@ -778,21 +1090,18 @@ router.post('/:id/invite', async (req, res) => {
 });
 
 // Remove email from invitation list (admin endpoint)
-router.delete('/:id/invite/:email', async (req, res) => {
+router.delete('/:id/invite/:email', authenticate, requireSequenceCapability(CAPABILITIES.MANAGE_MEMBERS), async (req, res) => {
   try {
-    const { id, email } = req.params;
-
-    const sequence = await Sequence.findOne({ id });
-    if (!sequence) {
-      return res.status(404).json({ error: 'Sequence not found' });
-    }
+    const { email } = req.params;
+    const sequence = req.sequence;
 
     await sequence.removeInvitedEmail(email);
-    res.json(sequence);
+    res.json(serializeSequence(sequence, req.user));
   } catch (error) {
     console.error('Error removing invited email:', error);
     res.status(500).json({ error: 'Failed to remove invited email' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+  return router;
+};
@@ -3,12 +3,17 @@ const router = express.Router();
 const User = require('../models/User');
 const Activity = require('../models/Activity');
 const Sequence = require('../models/Sequence');
+const authenticate = require('../middleware/authenticate');
+const { sendVerificationEmail } = require('../services/accountEmails');
+
+// Users can only manage their own account (admins can manage anyone)
+const isSelfOrAdmin = (req, userId) => req.user.id === userId || req.user.role === 'admin';
 
 // Get user profile with privacy checks
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', authenticate.optional, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { viewerId } = req.query;
+    const viewerId = req.user?.id;
 
     // Find the user
     const user = await User.findByCustomId(userId);
@@ -91,11 +96,15 @@ router.get('/:userId', async (req, res) => {
 });
 
 // Update user profile
-router.put('/:userId', async (req, res) => {
+router.put('/:userId', authenticate, async (req, res) => {
   try {
     const { userId } = req.params;
     const { bio } = req.body;
 
+    if (!isSelfOrAdmin(req, userId)) {
+      return res.status(403).json({ error: 'You can only update your own profile' });
+    }
+
     // Find and update user
     const user = await User.findByCustomId(userId);
     if (!user) {
@@ -119,10 +128,14 @@ router.put('/:userId', async (req, res) => {
 });
 
 // Get user settings
-router.get('/:userId/settings', async (req, res) => {
+router.get('/:userId/settings', authenticate, async (req, res) => {
   try {
     const { userId } = req.params;
 
+    if (!isSelfOrAdmin(req, userId)) {
+      return res.status(403).json({ error: 'You can only view your own settings' });
+    }
+
     // Find user
     const user = await User.findByCustomId(userId);
     if (!user) {
@@ -145,11 +158,15 @@ router.get('/:userId/settings', async (req, res) => {
 });
 
 // Update user settings (name, email, notifications)
-router.put('/:userId/settings', async (req, res) => {
+router.put('/:userId/settings', authenticate, async (req, res) => {
   try {
     const { userId } = req.params;
     const { name, email, notifications } = req.body;
 
+    if (!isSelfOrAdmin(req, userId)) {
+      return res.status(403).json({ error: 'You can only update your own settings' });
+    }
+
     // Find user
     const user = await User.findByCustomId(userId);
     if (!user) {
@@ -157,6 +174,7 @@ router.put('/:userId/settings', async (req, res) => {
     }
 
     // Update fields if provided
+    let emailChanged = false;
     if (name !== undefined) {
       user.name = name;
     }
@@ -167,7 +185,11 @@ router.put('/:userId/settings', async (req, res) => {
       if (existingUser && existingUser.id !== userId) {
         return res.status(400).json({ error: 'Email already in use' });
       }
-      user.email = email;
+      if (user.email !== email.toLowerCase().trim()) {
+        user.email = email;
+        user.emailVerified = false;
+        emailChanged = true;
+      }
     }
 
     if (notifications !== undefined) {
@@ -184,10 +206,17 @@ router.put('/:userId/settings', async (req, res) => {
 
     await user.save();
 
+    if (emailChanged) {
+      sendVerificationEmail(user).catch(error => {
+        console.error('Failed to send verification email:', error.message);
+      });
+    }
+
     res.json({
       id: user.id,
       name: user.name,
       email: user.email,
+      emailVerified: user.emailVerified,
       notifications: user.notifications
     });
   } catch (error) {
@@ -0,0 +1,40 @@
+const AuthToken = require('../models/AuthToken');
+const { sendMail } = require('./mail');
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Links in emails point at the frontend (APP_URL, else the first CLIENT_URL)
+function appUrl(path) {
+  const base = process.env.APP_URL || (process.env.CLIENT_URL || 'http://localhost:3000').split(',')[0];
+  return `${base.trim().replace(/\/$/, '')}${path}`;
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await AuthToken.issue(user.id, 'password_reset', PASSWORD_RESET_TTL_MS);
+  const link = appUrl(`/reset-password?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Holoscopic password',
+    text: `Someone asked to reset the password for this account.\n\n` +
+      `Reset it here (link expires in 1 hour):\n${link}\n\n` +
+      `If this wasn't you, you can ignore this email.`
+  });
+}
+
+async function sendVerificationEmail(user) {
+  const token = await AuthToken.issue(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_MS);
+  const link = appUrl(`/verify-email?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your Holoscopic email',
+    text: `Please confirm your email address (link expires in 24 hours):\n${link}`
+  });
+}
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
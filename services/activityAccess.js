@@ -0,0 +1,61 @@
+const Sequence = require('../models/Sequence');
+const { getActivityRole, getSequenceRole } = require('./permissions');
+
+// Decide whether a user may join an activity as a participant.
+// Returns { allowed: true, username } where username is the sequence-scoped
+// display name (if any), or { allowed: false, reason, message }.
+async function checkActivityAccess(activity, user, sequenceId = null) {
+  // Owners, co-facilitators and admins can always join
+  const role = await getActivityRole(activity, user);
+
+  // Drafts are hidden from everyone without a role on the activity
+  if (activity.isDraft && !role) {
+    return {
+      allowed: false,
+      reason: 'draft',
+      message: 'This activity is not open yet'
+    };
+  }
+
+  // Invitation-only sequences that contain this activity require enrollment in
+  // at least one of them, whichever sequence the client says it came from
+  const sequences = await Sequence.find({ 'activities.activityId': activity.id, requireInvitation: true });
+  const enrolled = sequences.filter(sequence => sequence.members.some(m => m.userId === user.id));
+
+  if (sequences.length > 0 && enrolled.length === 0 && !role) {
+    return {
+      allowed: false,
+      reason: 'not_enrolled',
+      message: 'You must be enrolled in this sequence to participate'
+    };
+  }
+
+  // sequenceId only picks the display context, and only if it contains the activity
+  let context = enrolled[0] || null;
+  if (sequenceId) {
+    context = sequences.find(sequence => sequence.id === sequenceId) ||
+      await Sequence.findOne({ id: sequenceId, 'activities.activityId': activity.id });
+  }
+
+  const member = context?.members.find(m => m.userId === user.id);
+  return { allowed: true, username: member?.username || null };
+}
+
+// Decide whether a user may follow a sequence's live room.
+// Members and anyone with a role on the sequence are allowed.
+function checkSequenceAccess(sequence, user) {
+  if (getSequenceRole(sequence, user) || sequence.members.some(m => m.userId === user.id)) {
+    return { allowed: true };
+  }
+
+  return {
+    allowed: false,
+    reason: 'not_enrolled',
+    message: 'You must be enrolled in this sequence to follow it'
+  };
+}
+
+module.exports = {
+  checkActivityAccess,
+  checkSequenceAccess
+};
@@ -0,0 +1,126 @@
+const Activity = require('../models/Activity');
+const {
+  isRevealedToAll,
+  carriesEntries,
+  redactEventData,
+  hideOthersEntries,
+  emitWithRevealPolicy
+} = require('./revealPolicy');
+
+const EVENT_BUFFER_SIZE = Number(process.env.ACTIVITY_EVENT_BUFFER_SIZE) || 200;
+const MAX_BUFFERED_ACTIVITIES = 500;
+
+// activityId -> recent versioned events broadcast by this instance, oldest first
+const recentEvents = new Map();
+
+// Bumps the version; also returns the fields that decide who may see entries
+async function nextVersion(activityId) {
+  return Activity.findOneAndUpdate(
+    { id: activityId },
+    { $inc: { syncVersion: 1 } },
+    { new: true, projection: { syncVersion: 1, revealPolicy: 1, status: 1, 'liveSession.revealed': 1 } }
+  ).lean();
+}
+
+// Events with ratings or comments only reach viewers the reveal policy allows
+async function emitToRoom(io, activityId, event, data, visibility) {
+  if (!carriesEntries(data) || (visibility && isRevealedToAll(visibility))) {
+    io.to(activityId).emit(event, data);
+    return;
+  }
+
+  try {
+    const activity = await Activity.findOne({ id: activityId })
+      .select('id author revealPolicy status liveSession ratings.userId')
+      .lean();
+    if (activity) await emitWithRevealPolicy(io, activity, event, data);
+  } catch (error) {
+    // Clients that missed it catch up on their next sync
+    console.error(`❌ Failed to broadcast ${event} for activity ${activityId}:`, error.message);
+  }
+}
+
+function rememberEvent(activityId, entry) {
+  // Re-insert so the Map stays ordered by most recent activity
+  const events = recentEvents.get(activityId) || [];
+  recentEvents.delete(activityId);
+  recentEvents.set(activityId, events);
+
+  events.push(entry);
+  events.sort((a, b) => a.version - b.version);
+  if (events.length > EVENT_BUFFER_SIZE) events.shift();
+
+  if (recentEvents.size > MAX_BUFFERED_ACTIVITIES) {
+    recentEvents.delete(recentEvents.keys().next().value);
+  }
+}
+
+// Emit a data event to an activity room, stamped with the activity's next
+// version. If the version can't be stored the event is still sent without
+// one, and clients fall back to a snapshot on their next sync.
+async function broadcastToActivity(io, activityId, event, payload) {
+  let version = null;
+  let visibility = null;
+  try {
+    visibility = await nextVersion(activityId);
+    version = visibility ? visibility.syncVersion : null;
+  } catch (error) {
+    console.error(`❌ Failed to bump sync version for activity ${activityId}:`, error.message);
+  }
+
+  // Plain JSON so buffered events don't hold on to mongoose documents
+  const data = JSON.parse(JSON.stringify({ ...payload, activityId, version }));
+  if (version !== null) {
+    rememberEvent(activityId, { version, event, data });
+  }
+
+  if (io) await emitToRoom(io, activityId, event, data, visibility);
+  return data;
+}
+
+// Events after sinceVersion, or null when this instance can't supply all of them
+function getEventsSince(activityId, sinceVersion, currentVersion) {
+  const events = (recentEvents.get(activityId) || []).filter(e => e.version > sinceVersion);
+  return events.length === currentVersion - sinceVersion ? events : null;
+}
+
+// Activity state for clients; collected emails are never sent over sockets,
+// and the placement history is fetched over REST when needed
+function toSnapshot(activity) {
+  const { emails, __v, ratingHistory, ...snapshot } = activity.toObject();
+  return snapshot;
+}
+
+// Build an activity_sync payload: the missed events since sinceVersion when
+// they are still buffered, otherwise a full snapshot. Pass canSeeOthers: false
+// to leave out other participants' entries (see services/revealPolicy.js).
+function buildActivitySync(activity, sinceVersion = null, { viewerId = null, canSeeOthers = true } = {}) {
+  const version = activity.syncVersion || 0;
+
+  if (Number.isInteger(sinceVersion) && sinceVersion >= 0 && sinceVersion <= version) {
+    const events = getEventsSince(activity.id, sinceVersion, version);
+    if (events) {
+      return {
+        type: 'delta',
+        activityId: activity.id,
+        version,
+        events: events.map(({ event, data }) => ({
+          event,
+          data: canSeeOthers ? data : redactEventData(data, viewerId)
+        }))
+      };
+    }
+  }
+
+  return {
+    type: 'snapshot',
+    activityId: activity.id,
+    version,
+    activity: canSeeOthers ? toSnapshot(activity) : hideOthersEntries(toSnapshot(activity), viewerId)
+  };
+}
+
+module.exports = {
+  broadcastToActivity,
+  buildActivitySync
+};
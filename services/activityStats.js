@@ -0,0 +1,29 @@
+const { canSeeOthers, hideOthersEntries } = require('./revealPolicy');
+const { buildRoundStats } = require('./roundAnalytics');
+const { parseSpatialQuery, buildSpatialAnalytics } = require('./spatialStats');
+
+// Stats for one activity, as served by GET /api/activities/:id/analytics and
+// GET /api/analytics/stats/:activityId. Counts cover everyone; placement stats
+// only cover the viewer's own entries until the reveal policy allows more.
+async function buildActivityStats(activity, user, query = {}) {
+  const filters = parseSpatialQuery(query);
+  const visible = await canSeeOthers(activity, user)
+    ? activity
+    : hideOthersEntries(activity.toObject(), user?.id);
+
+  return {
+    participants: activity.participants.length,
+    completedMappings: activity.ratings.length,
+    comments: activity.comments.length,
+    emails: (activity.emails || []).length,
+    votes: activity.comments.reduce((total, comment) => total + comment.votes.length, 0),
+    // Per-round centroids and movement
+    rounds: buildRoundStats(visible),
+    // Centroid, spread, correlation, quadrants and density (filters: see services/spatialStats.js)
+    spatial: await buildSpatialAnalytics(visible, filters)
+  };
+}
+
+module.exports = {
+  buildActivityStats
+};
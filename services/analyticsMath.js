@@ -0,0 +1,24 @@
+// Helpers shared by the analytics services. Points are { x, y } positions on the 0-1 map.
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+const mean = (points) => ({
+  x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+  y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+});
+
+// Rounded mean position, or null when there are no points
+function centroid(points) {
+  if (points.length === 0) return null;
+  const center = mean(points);
+  return { x: round4(center.x), y: round4(center.y) };
+}
+
+module.exports = {
+  round4,
+  distance,
+  mean,
+  centroid
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Access tokens are short-lived and sent on every request.
+// Refresh tokens are long-lived and only exchanged at /api/auth/refresh.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '30d';
+
+let devSecret = null;
+
+function getSecret() {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+
+  // Dev fallback - tokens won't survive a restart
+  if (!devSecret) {
+    devSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ JWT_SECRET not set - using a random development secret');
+  }
+  return devSecret;
+}
+
+// Issue an access/refresh token pair for a user
+function issueTokens(user) {
+  const secret = getSecret();
+
+  const accessToken = jwt.sign(
+    { sub: user.id, role: user.role, type: 'access' },
+    secret,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  // tokenVersion lets us revoke every outstanding refresh token for a user
+  const refreshToken = jwt.sign(
+    { sub: user.id, ver: user.tokenVersion || 0, type: 'refresh' },
+    secret,
+    { expiresIn: REFRESH_TOKEN_TTL }
+  );
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+  };
+}
+
+function verifyToken(token, expectedType) {
+  const payload = jwt.verify(token, getSecret());
+  if (payload.type !== expectedType) {
+    throw new Error('Invalid token type');
+  }
+  return payload;
+}
+
+// Returns the token payload, throws if the token is invalid or expired
+function verifyAccessToken(token) {
+  return verifyToken(token, 'access');
+}
+
+function verifyRefreshToken(token) {
+  return verifyToken(token, 'refresh');
+}
+
+module.exports = {
+  issueTokens,
+  verifyAccessToken,
+  verifyRefreshToken
+};
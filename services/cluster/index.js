@@ -0,0 +1,66 @@
+const os = require('os');
+const crypto = require('crypto');
+const createMemoryPresenceStore = require('./memoryPresence');
+const createRedisPresenceStore = require('./redisPresence');
+
+// Presence store interface:
+// { name, start(), stop(), addConnection(socketId, userId) => total,
+//   removeConnection(socketId), countConnections(),
+//   addParticipant(activityId, userId, socketId, { username }),
+//   updateParticipant(activityId, socketId, { status, typing, editingSlot }) => merged presence,
+//   removeParticipant(activityId, socketId), getPresence(activityId) => [presence],
+//   getParticipants(activityId) => [userId] }
+
+const instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+// Set up cross-instance broadcasts and the shared presence store.
+// With REDIS_URL set, Socket.IO uses the Redis adapter and presence lives in
+// Redis. Without it, the default in-memory adapter and store are used.
+async function setupCluster(io, options = {}) {
+  const redisUrl = options.redisUrl !== undefined ? options.redisUrl : process.env.REDIS_URL;
+
+  if (!redisUrl) {
+    const presence = createMemoryPresenceStore();
+    await presence.start();
+    return {
+      adapter: 'memory',
+      instanceId,
+      presence,
+      async close() {
+        await presence.stop();
+      }
+    };
+  }
+
+  // Only load the Redis packages when they are needed
+  const { createClient } = require('redis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+
+  const pubClient = createClient({ url: redisUrl });
+  const subClient = pubClient.duplicate();
+  for (const client of [pubClient, subClient]) {
+    client.on('error', (error) => console.error('❌ Redis error:', error.message));
+  }
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  io.adapter(createAdapter(pubClient, subClient));
+
+  const presence = createRedisPresenceStore(pubClient, { instanceId });
+  await presence.start();
+
+  return {
+    adapter: 'redis',
+    instanceId,
+    presence,
+    async close() {
+      await presence.stop();
+      await Promise.all([pubClient.quit(), subClient.quit()]);
+    }
+  };
+}
+
+module.exports = {
+  setupCluster,
+  createMemoryPresenceStore,
+  createRedisPresenceStore
+};
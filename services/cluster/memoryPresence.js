@@ -0,0 +1,74 @@
+const {
+  createPresenceEntry,
+  applyPresenceChanges,
+  summarizePresence
+} = require('./presenceDetails');
+
+// Presence store for a single instance. Same interface as the Redis store,
+// so the server doesn't care which one it runs with.
+function createMemoryPresenceStore() {
+  const connections = new Map(); // socketId -> userId
+  const activities = new Map(); // activityId -> Map(socketId -> presence entry)
+
+  return {
+    name: 'memory',
+
+    async start() {},
+    async stop() {
+      connections.clear();
+      activities.clear();
+    },
+
+    // Returns the total number of connections after adding this one
+    async addConnection(socketId, userId) {
+      connections.set(socketId, userId);
+      return connections.size;
+    },
+
+    async removeConnection(socketId) {
+      connections.delete(socketId);
+    },
+
+    async countConnections() {
+      return connections.size;
+    },
+
+    async addParticipant(activityId, userId, socketId, details = {}) {
+      if (!activities.has(activityId)) {
+        activities.set(activityId, new Map());
+      }
+      activities.get(activityId).set(socketId, createPresenceEntry(userId, details));
+    },
+
+    // Update a socket's status, typing or editingSlot; returns the user's merged presence
+    async updateParticipant(activityId, socketId, changes) {
+      const sockets = activities.get(activityId);
+      const entry = sockets?.get(socketId);
+      if (!entry) return null;
+
+      sockets.set(socketId, applyPresenceChanges(entry, changes));
+      return summarizePresence([...sockets.values()].filter(e => e.userId === entry.userId))[0];
+    },
+
+    async removeParticipant(activityId, socketId) {
+      const sockets = activities.get(activityId);
+      if (!sockets) return;
+      sockets.delete(socketId);
+      if (sockets.size === 0) {
+        activities.delete(activityId);
+      }
+    },
+
+    // One presence record per user in the activity
+    async getPresence(activityId) {
+      return summarizePresence([...(activities.get(activityId) || new Map()).values()]);
+    },
+
+    // Unique user IDs with at least one socket in the activity
+    async getParticipants(activityId) {
+      return (await this.getPresence(activityId)).map(entry => entry.userId);
+    }
+  };
+}
+
+module.exports = createMemoryPresenceStore;
@@ -0,0 +1,57 @@
+const PRESENCE_STATUSES = ['active', 'idle'];
+
+// Presence entry stored per socket in an activity
+function createPresenceEntry(userId, details = {}) {
+  const now = new Date().toISOString();
+  return {
+    userId,
+    username: details.username || '',
+    status: 'active',
+    typing: false,
+    editingSlot: null,
+    joinedAt: now,
+    updatedAt: now
+  };
+}
+
+// Apply a client update, keeping only known fields with valid values
+function applyPresenceChanges(entry, changes = {}) {
+  const next = { ...entry, updatedAt: new Date().toISOString() };
+  if (PRESENCE_STATUSES.includes(changes.status)) next.status = changes.status;
+  if (typeof changes.typing === 'boolean') next.typing = changes.typing;
+  if (changes.editingSlot === null || (Number.isInteger(changes.editingSlot) && changes.editingSlot > 0)) {
+    next.editingSlot = changes.editingSlot;
+  }
+  return next;
+}
+
+// Merge socket entries into one record per user. A user with several tabs is
+// active or typing if any tab is, and editing the slot of the latest update.
+function summarizePresence(entries) {
+  const byUser = new Map();
+
+  for (const entry of entries) {
+    const current = byUser.get(entry.userId);
+    if (!current) {
+      byUser.set(entry.userId, { ...entry });
+      continue;
+    }
+
+    const latest = entry.updatedAt > current.updatedAt ? entry : current;
+    byUser.set(entry.userId, {
+      ...latest,
+      status: current.status === 'active' || entry.status === 'active' ? 'active' : 'idle',
+      typing: current.typing || entry.typing,
+      joinedAt: entry.joinedAt < current.joinedAt ? entry.joinedAt : current.joinedAt
+    });
+  }
+
+  return [...byUser.values()];
+}
+
+module.exports = {
+  PRESENCE_STATUSES,
+  createPresenceEntry,
+  applyPresenceChanges,
+  summarizePresence
+};
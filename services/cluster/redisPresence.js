@@ -0,0 +1,149 @@
+const {
+  createPresenceEntry,
+  applyPresenceChanges,
+  summarizePresence
+} = require('./presenceDetails');
+
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+const INSTANCE_TTL_MS = 30 * 1000;
+const ACTIVITY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Presence store shared by every instance through Redis.
+//
+// Each instance keeps a heartbeat key and a hash of its own connections,
+// both expiring after INSTANCE_TTL_MS unless refreshed. When an instance
+// dies its connections stop counting once the heartbeat expires, and any
+// instance cleans up after it. Activity participants are stored per socket
+// as `<instanceId>|<socketId>` -> JSON presence entry and filtered by live instances.
+function createRedisPresenceStore(client, { instanceId, prefix = 'presence' }) {
+  const instancesKey = `${prefix}:instances`;
+  const heartbeatKey = (id) => `${prefix}:heartbeat:${id}`;
+  const connectionsKey = (id) => `${prefix}:connections:${id}`;
+  const activityKey = (activityId) => `${prefix}:activity:${activityId}`;
+  const participantField = (socketId) => `${instanceId}|${socketId}`;
+  let timer = null;
+
+  async function heartbeat() {
+    await client.multi()
+      .sAdd(instancesKey, instanceId)
+      .set(heartbeatKey(instanceId), String(Date.now()), { PX: INSTANCE_TTL_MS })
+      .pExpire(connectionsKey(instanceId), INSTANCE_TTL_MS)
+      .exec();
+  }
+
+  // Instances whose heartbeat is still alive; forgets the rest
+  async function getLiveInstances() {
+    const ids = await client.sMembers(instancesKey);
+    const alive = await Promise.all(ids.map(id => client.exists(heartbeatKey(id))));
+    const dead = ids.filter((id, index) => !alive[index]);
+
+    if (dead.length > 0) {
+      await client.multi()
+        .sRem(instancesKey, dead)
+        .del(dead.map(connectionsKey))
+        .exec();
+    }
+
+    return ids.filter((id, index) => alive[index]);
+  }
+
+  return {
+    name: 'redis',
+
+    async start() {
+      if (timer) return;
+      await heartbeat();
+      timer = setInterval(() => {
+        heartbeat().catch(error => console.error('❌ Presence heartbeat failed:', error.message));
+      }, HEARTBEAT_INTERVAL_MS);
+    },
+
+    // Remove this instance so its connections stop counting right away
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await client.multi()
+        .sRem(instancesKey, instanceId)
+        .del([heartbeatKey(instanceId), connectionsKey(instanceId)])
+        .exec();
+    },
+
+    // Returns the cluster-wide number of connections after adding this one
+    async addConnection(socketId, userId) {
+      await client.hSet(connectionsKey(instanceId), socketId, userId);
+      return this.countConnections();
+    },
+
+    async removeConnection(socketId) {
+      await client.hDel(connectionsKey(instanceId), socketId);
+    },
+
+    async countConnections() {
+      const instances = await getLiveInstances();
+      const counts = await Promise.all(instances.map(id => client.hLen(connectionsKey(id))));
+      return counts.reduce((sum, count) => sum + count, 0);
+    },
+
+    async addParticipant(activityId, userId, socketId, details = {}) {
+      await client.multi()
+        .hSet(activityKey(activityId), participantField(socketId), JSON.stringify(createPresenceEntry(userId, details)))
+        .pExpire(activityKey(activityId), ACTIVITY_TTL_MS)
+        .exec();
+    },
+
+    // Update a socket's status, typing or editingSlot; returns the user's merged presence.
+    // Only this instance writes its own sockets' fields, so read-modify-write is safe.
+    async updateParticipant(activityId, socketId, changes) {
+      const value = await client.hGet(activityKey(activityId), participantField(socketId));
+      if (!value) return null;
+
+      const entry = applyPresenceChanges(JSON.parse(value), changes);
+      await client.hSet(activityKey(activityId), participantField(socketId), JSON.stringify(entry));
+
+      const presence = await this.getPresence(activityId);
+      return presence.find(p => p.userId === entry.userId) || null;
+    },
+
+    async removeParticipant(activityId, socketId) {
+      await client.hDel(activityKey(activityId), participantField(socketId));
+    },
+
+    // One presence record per user with a socket in the activity on a live instance
+    async getPresence(activityId) {
+      const [fields, instances] = await Promise.all([
+        client.hGetAll(activityKey(activityId)),
+        getLiveInstances()
+      ]);
+
+      const entries = [];
+      const staleFields = [];
+      for (const [field, value] of Object.entries(fields)) {
+        let entry = null;
+        try {
+          entry = JSON.parse(value);
+        } catch {
+          // Unreadable entries are dropped below
+        }
+
+        if (entry && instances.includes(field.split('|')[0])) {
+          entries.push(entry);
+        } else {
+          staleFields.push(field);
+        }
+      }
+
+      if (staleFields.length > 0) {
+        await client.hDel(activityKey(activityId), staleFields);
+      }
+
+      return summarizePresence(entries);
+    },
+
+    // Unique user IDs with at least one socket in the activity on a live instance
+    async getParticipants(activityId) {
+      return (await this.getPresence(activityId)).map(entry => entry.userId);
+    }
+  };
+}
+
+module.exports = createRedisPresenceStore;
@@ -0,0 +1,222 @@
+const { ServiceError } = require('./errors');
+const { round4, distance, mean } = require('./analyticsMath');
+
+const MAX_K = 20;
+const MAX_ITERATIONS = 100;
+const MAX_CACHED_ACTIVITIES = 200;
+const MAX_RESULTS_PER_ACTIVITY = 20;
+
+// k-means with deterministic farthest-point seeding, so the same ratings
+// always give the same clusters. Returns a cluster index per point.
+function kMeans(points, k) {
+  const overall = mean(points);
+  const centers = [points.reduce((best, p) => (distance(p, overall) < distance(best, overall) ? p : best))];
+  while (centers.length < k) {
+    centers.push(points.reduce((best, p) => {
+      const nearest = Math.min(...centers.map(c => distance(p, c)));
+      const bestNearest = Math.min(...centers.map(c => distance(best, c)));
+      return nearest > bestNearest ? p : best;
+    }));
+  }
+
+  let labels = new Array(points.length).fill(-1);
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const next = points.map(p => {
+      let best = 0;
+      for (let i = 1; i < centers.length; i++) {
+        if (distance(p, centers[i]) < distance(p, centers[best])) best = i;
+      }
+      return best;
+    });
+
+    const changed = next.some((label, i) => label !== labels[i]);
+    labels = next;
+    if (!changed) break;
+
+    for (let i = 0; i < centers.length; i++) {
+      const members = points.filter((_, index) => labels[index] === i);
+      if (members.length > 0) centers[i] = mean(members);
+    }
+  }
+
+  return labels;
+}
+
+// DBSCAN: points with at least minPoints neighbours within eps (itself
+// included) grow clusters; points reached by none are noise (-1).
+function dbscan(points, eps, minPoints) {
+  const labels = new Array(points.length).fill(undefined);
+  const neighbours = (index) => points
+    .map((_, i) => i)
+    .filter(i => distance(points[index], points[i]) <= eps);
+
+  let cluster = -1;
+  for (let i = 0; i < points.length; i++) {
+    if (labels[i] !== undefined) continue;
+
+    const seeds = neighbours(i);
+    if (seeds.length < minPoints) {
+      labels[i] = -1;
+      continue;
+    }
+
+    cluster++;
+    labels[i] = cluster;
+    const queue = seeds.filter(j => j !== i);
+    while (queue.length > 0) {
+      const j = queue.shift();
+      if (labels[j] === -1) labels[j] = cluster; // border point
+      if (labels[j] !== undefined) continue;
+
+      labels[j] = cluster;
+      const reach = neighbours(j);
+      if (reach.length >= minPoints) queue.push(...reach);
+    }
+  }
+
+  return labels;
+}
+
+// Read clustering options from a query string:
+// ?method=kmeans|dbscan, ?k= (kmeans, default 3), ?eps= and ?minPoints= (dbscan,
+// defaults 0.1 and 3), ?slotNumber=, ?questionId= and ?round= (default the current round)
+function parseClusterQuery(query = {}) {
+  const options = {
+    method: query.method || 'kmeans',
+    k: 3,
+    eps: 0.1,
+    minPoints: 3,
+    slotNumber: null,
+    questionId: query.questionId || null,
+    round: null,
+    allRounds: query.round === 'all'
+  };
+
+  if (!['kmeans', 'dbscan'].includes(options.method)) {
+    throw new ServiceError('invalid_filter', "method must be 'kmeans' or 'dbscan'");
+  }
+
+  const readInteger = (name, min, max) => {
+    if (query[name] === undefined) return;
+    const value = Number(query[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new ServiceError('invalid_filter', `${name} must be an integer between ${min} and ${max}`);
+    }
+    options[name] = value;
+  };
+
+  readInteger('k', 1, MAX_K);
+  readInteger('minPoints', 1, 1000);
+  readInteger('slotNumber', 1, Number.MAX_SAFE_INTEGER);
+  if (!options.allRounds) readInteger('round', 1, Number.MAX_SAFE_INTEGER);
+
+  if (query.eps !== undefined) {
+    options.eps = Number(query.eps);
+    if (!(options.eps > 0 && options.eps <= 1)) {
+      throw new ServiceError('invalid_filter', 'eps must be greater than 0 and at most 1');
+    }
+  }
+
+  return options;
+}
+
+// Cluster an activity's ratings and summarize each cluster with its members'
+// object names and comments and its top-voted comment
+function clusterActivity(activity, options = parseClusterQuery()) {
+  const round = options.allRounds ? null : (options.round || activity.currentRound || 1);
+  const sameEntry = (a, b) => a.userId === b.userId &&
+    (a.slotNumber || 1) === (b.slotNumber || 1) &&
+    (a.questionId || null) === (b.questionId || null) &&
+    (a.round || 1) === (b.round || 1);
+
+  const ratings = (activity.ratings || []).filter(r =>
+    (round === null || (r.round || 1) === round) &&
+    (options.slotNumber === null || (r.slotNumber || 1) === options.slotNumber) &&
+    (options.questionId === null || (r.questionId || null) === options.questionId)
+  );
+  const points = ratings.map(r => ({ x: r.position.x, y: r.position.y }));
+
+  let labels = [];
+  if (points.length > 0) {
+    labels = options.method === 'dbscan'
+      ? dbscan(points, options.eps, options.minPoints)
+      : kMeans(points, Math.min(options.k, points.length));
+  }
+
+  const members = ratings.map(rating => {
+    const comment = (activity.comments || []).find(c => sameEntry(c, rating));
+    return {
+      userId: rating.userId,
+      username: rating.username,
+      objectName: rating.objectName || '',
+      slotNumber: rating.slotNumber || 1,
+      questionId: rating.questionId || null,
+      position: { x: rating.position.x, y: rating.position.y },
+      comment: comment ? { id: comment.id, text: comment.text, voteCount: comment.voteCount || 0 } : null
+    };
+  });
+
+  const clusterIds = [...new Set(labels.filter(label => label >= 0))].sort((a, b) => a - b);
+  const clusters = clusterIds.map((label, index) => {
+    const clusterMembers = members.filter((_, i) => labels[i] === label);
+    const center = mean(clusterMembers.map(m => m.position));
+    const comments = clusterMembers.map(m => m.comment).filter(Boolean);
+    const topComment = comments.reduce((best, c) => (!best || c.voteCount > best.voteCount ? c : best), null);
+
+    return {
+      cluster: index + 1,
+      size: clusterMembers.length,
+      centroid: { x: round4(center.x), y: round4(center.y) },
+      radius: round4(Math.max(...clusterMembers.map(m => distance(m.position, center)))),
+      objectNames: clusterMembers.map(m => m.objectName).filter(Boolean),
+      members: clusterMembers,
+      topComment
+    };
+  });
+
+  return {
+    method: options.method,
+    params: options.method === 'dbscan'
+      ? { eps: options.eps, minPoints: options.minPoints }
+      : { k: Math.min(options.k, points.length) },
+    filters: {
+      slotNumber: options.slotNumber,
+      questionId: options.questionId,
+      round: round === null ? 'all' : round
+    },
+    clusters,
+    // DBSCAN only: ratings too far from any cluster
+    noise: members.filter((_, i) => labels[i] === -1)
+  };
+}
+
+// activityId -> { version, results: Map(optionsKey -> result) }.
+// Keyed by syncVersion, which every ratings change bumps through
+// broadcastToActivity, so changes made on any instance miss the cache.
+const cache = new Map();
+
+function getClusters(activity, options = parseClusterQuery()) {
+  const version = activity.syncVersion || 0;
+  const key = JSON.stringify(options);
+
+  let entry = cache.get(activity.id);
+  if (!entry || entry.version !== version) {
+    entry = { version, results: new Map() };
+    if (cache.size >= MAX_CACHED_ACTIVITIES) cache.delete(cache.keys().next().value);
+    cache.set(activity.id, entry);
+  }
+
+  if (!entry.results.has(key)) {
+    if (entry.results.size >= MAX_RESULTS_PER_ACTIVITY) entry.results.clear();
+    entry.results.set(key, clusterActivity(activity, options));
+  }
+  return entry.results.get(key);
+}
+
+module.exports = {
+  kMeans,
+  dbscan,
+  parseClusterQuery,
+  clusterActivity,
+  getClusters
+};
@@ -0,0 +1,30 @@
+// Minimal CSV writer (RFC 4180). columns: [{ key, header }]; rows: plain objects.
+// Dates are written as ISO strings and null/undefined as empty cells.
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  // Quote cells with separators, quotes or line breaks; neutralize spreadsheet formulas
+  const safe = /^[=+\-@]/.test(text) && Number.isNaN(Number(text)) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => formatCell(column.header || column.key)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCell(row[column.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Send CSV as a download
+function sendCsv(res, filename, columns, rows) {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}"`);
+  res.send(toCsv(columns, rows));
+}
+
+module.exports = {
+  toCsv,
+  sendCsv
+};
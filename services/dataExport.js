@@ -0,0 +1,371 @@
+const ExcelJS = require('exceljs');
+const { ServiceError } = require('./errors');
+const { sendCsv } = require('./csv');
+
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+// Tidy tables, one row per entity. Each column's key is the field name in
+// JSON exports; emails columns are dropped unless emails are included.
+const TABLES = {
+  members: [
+    { key: 'userId', header: 'User ID' },
+    { key: 'username', header: 'Username' },
+    { key: 'email', header: 'Email', email: true },
+    { key: 'joinedAt', header: 'Joined at' }
+  ],
+  activities: [
+    { key: 'activityId', header: 'Activity ID' },
+    { key: 'title', header: 'Title' },
+    { key: 'activityType', header: 'Type' },
+    { key: 'status', header: 'Status' },
+    { key: 'mapQuestion', header: 'Map question' },
+    { key: 'xAxis', header: 'X axis' },
+    { key: 'xMin', header: 'X min' },
+    { key: 'xMax', header: 'X max' },
+    { key: 'yAxis', header: 'Y axis' },
+    { key: 'yMin', header: 'Y min' },
+    { key: 'yMax', header: 'Y max' },
+    { key: 'currentRound', header: 'Current round' },
+    { key: 'createdAt', header: 'Created at' }
+  ],
+  questions: [
+    { key: 'activityId', header: 'Activity ID' },
+    { key: 'questionId', header: 'Question ID' },
+    { key: 'topic', header: 'Topic' },
+    { key: 'question', header: 'Question' },
+    { key: 'order', header: 'Order' }
+  ],
+  participants: [
+    { key: 'activityId', header: 'Activity ID' },
+    { key: 'userId', header: 'User ID' },
+    { key: 'username', header: 'Username' },
+    { key: 'joinedAt', header: 'Joined at' },
+    { key: 'hasSubmitted', header: 'Submitted' }
+  ],
+  ratings: [
+    { key: 'activityId', header: 'Activity ID' },
+    { key: 'ratingId', header: 'Rating ID' },
+    { key: 'userId', header: 'User ID' },
+    { key: 'username', header: 'Username' },
+    { key: 'objectName', header: 'Object name' },
+    { key: 'slotNumber', header: 'Slot' },
+    { key: 'round', header: 'Round' },
+    { key: 'questionId', header: 'Question ID' },
+    { key: 'question', header: 'Question' },
+    { key: 'xAxis', header: 'X axis' },
+    { key: 'x', header: 'X' },
+    { key: 'xLabel', header: 'X label' },
+    { key: 'yAxis', header: 'Y axis' },
+    { key: 'y', header: 'Y' },
+    { key: 'yLabel', header: 'Y label' },
+    { key: 'timestamp', header: 'Timestamp' }
+  ],
+  // Comments and their replies (replies have a parentCommentId)
+  comments: [
+    { key: 'activityId', header: 'Activity ID' },
+    { key: 'commentId', header: 'Comment ID' },
+    { key: 'parentCommentId', header: 'Parent comment ID' },
+    { key: 'userId', header: 'User ID' },
+    { key: 'username', header: 'Username' },
+    { key: 'objectName', header: 'Object name' },
+    { key: 'slotNumber', header: 'Slot' },
+    { key: 'round', header: 'Round' },
+    { key: 'questionId', header: 'Question ID' },
+    { key: 'question', header: 'Question' },
+    { key: 'text', header: 'Text' },
+    { key: 'voteCount', header: 'Votes' },
+    { key: 'timestamp', header: 'Timestamp' },
+    { key: 'editedAt', header: 'Edited at' }
+  ],
+  votes: [
+    { key: 'activityId', header: 'Activity ID' },
+    { key: 'commentId', header: 'Comment ID' },
+    { key: 'voterId', header: 'Voter ID' },
+    { key: 'voterUsername', header: 'Voter username' },
+    { key: 'authorId', header: 'Author ID' },
+    { key: 'timestamp', header: 'Timestamp' }
+  ],
+  emails: [
+    { key: 'activityId', header: 'Activity ID' },
+    { key: 'userId', header: 'User ID' },
+    { key: 'email', header: 'Email', email: true },
+    { key: 'timestamp', header: 'Timestamp' }
+  ]
+};
+
+const isTrue = (value) => value === 'true' || value === '1';
+
+// Read export options from a query string:
+// ?format=json|csv|xlsx (default json), ?table= (csv only, default ratings),
+// ?pseudonymize=true and ?includeEmails=true
+function parseExportQuery(query = {}) {
+  const options = {
+    format: query.format || 'json',
+    table: query.table || 'ratings',
+    pseudonymize: isTrue(query.pseudonymize),
+    includeEmails: isTrue(query.includeEmails)
+  };
+
+  if (!EXPORT_FORMATS.includes(options.format)) {
+    throw new ServiceError('invalid_export', `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!TABLES[options.table]) {
+    throw new ServiceError('invalid_export', `table must be one of: ${Object.keys(TABLES).join(', ')}`);
+  }
+  if (options.pseudonymize && options.includeEmails) {
+    throw new ServiceError('invalid_export', 'Emails cannot be included in a pseudonymized export');
+  }
+
+  return options;
+}
+
+// Replaces user IDs and usernames with P1, P2, ... and "Participant 1", ...
+// in order of first appearance, so the same person keeps one pseudonym
+// across every table of an export
+function createPseudonymizer(enabled) {
+  const pseudonyms = new Map();
+  const numberOf = (userId) => {
+    if (!pseudonyms.has(userId)) pseudonyms.set(userId, pseudonyms.size + 1);
+    return pseudonyms.get(userId);
+  };
+
+  return {
+    id: (userId) => (enabled && userId ? `P${numberOf(userId)}` : userId || null),
+    name: (userId, username) => (enabled && userId ? `Participant ${numberOf(userId)}` : username || null)
+  };
+}
+
+// Snapshot axes have 2 or 4 labelled points; continuous axes have none
+function pointLabel(labels, points, value) {
+  if (!labels || labels.length === 0 || !points) return null;
+  return labels[Math.round(value * (points - 1))] || null;
+}
+
+function activityRows(activity, pseudonym) {
+  const questions = new Map((activity.snapshotQuestions || []).map(q => [q.id, q]));
+  const isSnapshot = activity.activityType === 'snapshot';
+  const questionLabel = (questionId) => (questionId ? questions.get(questionId)?.label || null : null);
+  const rows = { activities: [], questions: [], participants: [], ratings: [], comments: [], votes: [], emails: [] };
+
+  rows.activities.push({
+    activityId: activity.id,
+    title: activity.title,
+    activityType: activity.activityType,
+    status: activity.status,
+    mapQuestion: activity.mapQuestion,
+    xAxis: activity.xAxis?.label,
+    xMin: activity.xAxis?.min,
+    xMax: activity.xAxis?.max,
+    yAxis: activity.yAxis?.label,
+    yMin: activity.yAxis?.min,
+    yMax: activity.yAxis?.max,
+    currentRound: activity.currentRound || 1,
+    createdAt: activity.createdAt
+  });
+
+  [...questions.values()]
+    .sort((a, b) => a.order - b.order)
+    .forEach(q => rows.questions.push({
+      activityId: activity.id,
+      questionId: q.id,
+      topic: q.topic || '',
+      question: q.label,
+      order: q.order
+    }));
+
+  for (const participant of activity.participants || []) {
+    rows.participants.push({
+      activityId: activity.id,
+      userId: pseudonym.id(participant.id),
+      username: pseudonym.name(participant.id, participant.username),
+      joinedAt: participant.joinedAt,
+      hasSubmitted: !!participant.hasSubmitted
+    });
+  }
+
+  for (const rating of activity.ratings || []) {
+    rows.ratings.push({
+      activityId: activity.id,
+      ratingId: rating.id,
+      userId: pseudonym.id(rating.userId),
+      username: pseudonym.name(rating.userId, rating.username),
+      objectName: rating.objectName || '',
+      slotNumber: rating.slotNumber || 1,
+      round: rating.round || 1,
+      questionId: rating.questionId || null,
+      question: questionLabel(rating.questionId),
+      xAxis: activity.xAxis?.label,
+      x: rating.position.x,
+      xLabel: isSnapshot ? pointLabel(activity.xAxisLabels, activity.xAxisPoints, rating.position.x) : null,
+      yAxis: activity.yAxis?.label,
+      y: rating.position.y,
+      yLabel: isSnapshot ? pointLabel(activity.yAxisLabels, activity.yAxisPoints, rating.position.y) : null,
+      timestamp: rating.timestamp
+    });
+  }
+
+  const addVotes = (entry) => {
+    for (const vote of entry.votes || []) {
+      rows.votes.push({
+        activityId: activity.id,
+        commentId: entry.id,
+        voterId: pseudonym.id(vote.userId),
+        voterUsername: pseudonym.name(vote.userId, vote.username),
+        authorId: pseudonym.id(entry.userId),
+        timestamp: vote.timestamp
+      });
+    }
+  };
+
+  for (const comment of activity.comments || []) {
+    const shared = {
+      activityId: activity.id,
+      slotNumber: comment.slotNumber || 1,
+      round: comment.round || 1,
+      questionId: comment.questionId || null,
+      question: questionLabel(comment.questionId)
+    };
+    rows.comments.push({
+      ...shared,
+      commentId: comment.id,
+      parentCommentId: null,
+      userId: pseudonym.id(comment.userId),
+      username: pseudonym.name(comment.userId, comment.username),
+      objectName: comment.objectName || '',
+      text: comment.text,
+      voteCount: comment.voteCount || 0,
+      timestamp: comment.timestamp,
+      editedAt: comment.editedAt || null
+    });
+    addVotes(comment);
+
+    for (const reply of comment.replies || []) {
+      rows.comments.push({
+        ...shared,
+        commentId: reply.id,
+        parentCommentId: comment.id,
+        userId: pseudonym.id(reply.userId),
+        username: pseudonym.name(reply.userId, reply.username),
+        objectName: '',
+        text: reply.text,
+        voteCount: reply.voteCount || 0,
+        timestamp: reply.timestamp,
+        editedAt: null
+      });
+      addVotes(reply);
+    }
+  }
+
+  for (const entry of activity.emails || []) {
+    rows.emails.push({
+      activityId: activity.id,
+      userId: pseudonym.id(entry.userId),
+      email: entry.email,
+      timestamp: entry.timestamp
+    });
+  }
+
+  return rows;
+}
+
+// [{ name, columns, rows }] in TABLES order. Without includeEmails the email
+// columns and the emails table are left out.
+function toTables(rowsByTable, includeEmails) {
+  return Object.keys(TABLES)
+    .filter(name => rowsByTable[name] && (includeEmails || name !== 'emails'))
+    .map(name => ({
+      name,
+      columns: TABLES[name].filter(column => includeEmails || !column.email),
+      rows: rowsByTable[name]
+    }));
+}
+
+function buildActivityExport(activity, options) {
+  const rows = activityRows(activity, createPseudonymizer(options.pseudonymize));
+  return {
+    scope: 'activity',
+    id: activity.id,
+    pseudonymized: options.pseudonymize,
+    tables: toTables(rows, options.includeEmails)
+  };
+}
+
+// Members first, then every activity's rows in sequence order
+function buildSequenceExport(sequence, activities, options) {
+  const pseudonym = createPseudonymizer(options.pseudonymize);
+  const byId = new Map(activities.map(activity => [activity.id, activity]));
+  const rows = { members: [] };
+
+  for (const member of sequence.members || []) {
+    rows.members.push({
+      userId: pseudonym.id(member.userId),
+      username: pseudonym.name(member.userId, member.username),
+      email: member.email || null,
+      joinedAt: member.joinedAt
+    });
+  }
+
+  [...sequence.activities]
+    .sort((a, b) => a.order - b.order)
+    .filter(entry => byId.has(entry.activityId))
+    .forEach(entry => {
+      for (const [name, tableRows] of Object.entries(activityRows(byId.get(entry.activityId), pseudonym))) {
+        rows[name] = [...(rows[name] || []), ...tableRows];
+      }
+    });
+
+  return {
+    scope: 'sequence',
+    id: sequence.id,
+    pseudonymized: options.pseudonymize,
+    tables: toTables(rows, options.includeEmails)
+  };
+}
+
+// Respond with the export as JSON ({ tables: { name: rows } }), as one CSV
+// table, or as an XLSX workbook with a worksheet per table
+async function sendExport(res, basename, data, options) {
+  if (options.format === 'csv') {
+    const table = data.tables.find(t => t.name === options.table);
+    if (!table) {
+      throw new ServiceError('invalid_export', options.table === 'emails'
+        ? 'The emails table needs includeEmails=true'
+        : `This export has no ${options.table} table`);
+    }
+    return sendCsv(res, `${basename}-${table.name}.csv`, table.columns, table.rows);
+  }
+
+  if (options.format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    for (const table of data.tables) {
+      const sheet = workbook.addWorksheet(table.name);
+      sheet.columns = table.columns.map(column => ({ header: column.header, key: column.key, width: 18 }));
+      sheet.getRow(1).font = { bold: true };
+      table.rows.forEach(row => sheet.addRow(row));
+    }
+
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="${basename.replace(/[^\w.-]/g, '_')}.xlsx"`);
+    return res.send(Buffer.from(await workbook.xlsx.writeBuffer()));
+  }
+
+  res.json({
+    scope: data.scope,
+    id: data.id,
+    exportedAt: new Date(),
+    pseudonymized: data.pseudonymized,
+    tables: Object.fromEntries(data.tables.map(table => [
+      table.name,
+      table.rows.map(row => Object.fromEntries(table.columns.map(column => [column.key, row[column.key] ?? null])))
+    ]))
+  });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportQuery,
+  createPseudonymizer,
+  buildActivityExport,
+  buildSequenceExport,
+  sendExport
+};
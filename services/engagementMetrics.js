@@ -0,0 +1,261 @@
+const Activity = require('../models/Activity');
+const Sequence = require('../models/Sequence');
+const User = require('../models/User');
+const EngagementRollup = require('../models/EngagementRollup');
+const { ServiceError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week'];
+const DEFAULT_RANGE = { day: 30, week: 12 * 7 };
+const MAX_RANGE_DAYS = { day: 366, week: 2 * 366 };
+
+const startOfDay = (date) => new Date(Math.floor(new Date(date).getTime() / DAY_MS) * DAY_MS);
+
+// Weeks start on Monday (UTC)
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+const emptyCounts = () => ({ activeUserIds: new Set(), ratings: 0, comments: 0, votes: 0 });
+
+// Example entries seeded from an activity's starterData (see sync-starter-data)
+const isStarterUser = (userId) => typeof userId === 'string' && userId.startsWith('starter_');
+
+// Count an activity's placements, comments, replies and votes per UTC day
+// within [from, to). Returns Map(dayStartMs -> counts).
+// Placements come from ratingHistory; ratings made before history was
+// recorded count once, on their own timestamp. Starter data is not engagement.
+function countActivityDays(activity, from, to) {
+  const days = new Map();
+  const record = (timestamp, userId, metric) => {
+    if (isStarterUser(userId)) return;
+    const time = timestamp ? new Date(timestamp).getTime() : NaN;
+    if (!(time >= from.getTime() && time < to.getTime())) return;
+
+    const day = startOfDay(time).getTime();
+    if (!days.has(day)) days.set(day, emptyCounts());
+    const counts = days.get(day);
+    counts.activeUserIds.add(userId);
+    counts[metric]++;
+  };
+
+  const history = activity.ratingHistory || [];
+  const recorded = new Set(history.map(h => h.ratingId));
+  history.forEach(h => record(h.timestamp, h.userId, 'ratings'));
+  (activity.ratings || [])
+    .filter(r => !recorded.has(r.id))
+    .forEach(r => record(r.timestamp, r.userId, 'ratings'));
+
+  for (const comment of activity.comments || []) {
+    for (const entry of [comment, ...(comment.replies || [])]) {
+      record(entry.timestamp, entry.userId, 'comments');
+      (entry.votes || []).forEach(v => record(v.timestamp, v.userId, 'votes'));
+    }
+  }
+
+  return days;
+}
+
+// Recompute rollups for every day from `from` (rounded down to the day) up to `to`.
+// Only activities updated since then are read; days that no longer have any
+// entries are removed, and so are all rollups of activities that no longer
+// exist. Safe to run repeatedly and on several instances.
+async function rollUp(from, to = new Date()) {
+  const start = startOfDay(from);
+  const computedAt = new Date();
+  let activityCount = 0;
+
+  const cursor = Activity.find({ updatedAt: { $gte: start } })
+    .select('id activityType author.userId ratings.id ratings.userId ratings.timestamp ' +
+      'ratingHistory.ratingId ratingHistory.userId ratingHistory.timestamp comments')
+    .lean()
+    .cursor();
+
+  for await (const activity of cursor) {
+    const days = countActivityDays(activity, start, to);
+    const operations = [...days].map(([day, counts]) => ({
+      updateOne: {
+        filter: { date: new Date(day), activityId: activity.id },
+        update: {
+          $set: {
+            activityType: activity.activityType || null,
+            creatorId: activity.author?.userId || null,
+            activeUserIds: [...counts.activeUserIds],
+            ratings: counts.ratings,
+            comments: counts.comments,
+            votes: counts.votes,
+            computedAt
+          }
+        },
+        upsert: true
+      }
+    }));
+    operations.push({
+      deleteMany: {
+        filter: {
+          activityId: activity.id,
+          date: { $gte: start, $nin: [...days.keys()].map(day => new Date(day)) }
+        }
+      }
+    });
+
+    await EngagementRollup.bulkWrite(operations, { ordered: false });
+    activityCount++;
+  }
+
+  const removedActivities = await removeDeletedActivityRollups();
+
+  // New sign-ups per day, including days with none
+  const signups = await User.aggregate([
+    { $match: { createdAt: { $gte: start, $lt: to } } },
+    { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } }
+  ]);
+  const signupsByDay = new Map(signups.map(s => [new Date(s._id).getTime(), s.count]));
+
+  const platformOperations = [];
+  for (let day = start.getTime(); day < to.getTime(); day += DAY_MS) {
+    platformOperations.push({
+      updateOne: {
+        filter: { date: new Date(day), activityId: null },
+        update: { $set: { newUsers: signupsByDay.get(day) || 0, computedAt } },
+        upsert: true
+      }
+    });
+  }
+  if (platformOperations.length > 0) {
+    await EngagementRollup.bulkWrite(platformOperations, { ordered: false });
+  }
+
+  return { from: start, to, activities: activityCount, removedActivities, days: platformOperations.length };
+}
+
+// Delete rollups of activities that have been deleted. Returns how many activities were cleaned up.
+async function removeDeletedActivityRollups() {
+  const rolledUpIds = await EngagementRollup.distinct('activityId', { activityId: { $ne: null } });
+  if (rolledUpIds.length === 0) return 0;
+
+  const existingIds = new Set(await Activity.distinct('id', { id: { $in: rolledUpIds } }));
+  const deletedIds = rolledUpIds.filter(id => !existingIds.has(id));
+  if (deletedIds.length > 0) {
+    await EngagementRollup.deleteMany({ activityId: { $in: deletedIds } });
+  }
+  return deletedIds.length;
+}
+
+// Read series options from a query string:
+// ?interval=day|week, ?from= and ?to= (ISO dates, default the last 30 days or
+// 12 weeks), ?activityType=, ?sequenceId= and ?creatorId=
+function parseSeriesQuery(query = {}) {
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) {
+    throw new ServiceError('invalid_filter', "interval must be 'day' or 'week'");
+  }
+
+  const readDate = (name) => {
+    if (query[name] === undefined) return null;
+    const date = new Date(query[name]);
+    if (Number.isNaN(date.getTime())) {
+      throw new ServiceError('invalid_filter', `${name} must be a date`);
+    }
+    return date;
+  };
+
+  const to = readDate('to') || new Date();
+  const from = readDate('from') || new Date(to.getTime() - DEFAULT_RANGE[interval] * DAY_MS);
+  if (from > to) {
+    throw new ServiceError('invalid_filter', 'from must be before to');
+  }
+  if (to - from > MAX_RANGE_DAYS[interval] * DAY_MS) {
+    throw new ServiceError('invalid_filter', `A ${interval} series can cover at most ${MAX_RANGE_DAYS[interval]} days`);
+  }
+
+  const activityTypes = Activity.schema.path('activityType').enumValues;
+  if (query.activityType !== undefined && !activityTypes.includes(query.activityType)) {
+    throw new ServiceError('invalid_filter', `activityType must be one of: ${activityTypes.join(', ')}`);
+  }
+
+  return {
+    interval,
+    from,
+    to,
+    activityType: query.activityType || null,
+    sequenceId: query.sequenceId || null,
+    creatorId: query.creatorId || null
+  };
+}
+
+// Daily or weekly series read from the rollups:
+// [{ start, newUsers, activeParticipants, ratings, comments, votes }]
+// Active participants are counted once per bucket across all matching
+// activities. New users are platform-wide sign-ups and ignore the filters.
+async function getEngagementSeries(filters = parseSeriesQuery()) {
+  const bucketOf = filters.interval === 'week' ? startOfWeek : startOfDay;
+  const step = filters.interval === 'week' ? 7 * DAY_MS : DAY_MS;
+  const from = bucketOf(filters.from);
+  const dates = { $gte: from, $lte: filters.to };
+
+  const match = { date: dates, activityId: { $ne: null } };
+  if (filters.activityType) match.activityType = filters.activityType;
+  if (filters.creatorId) match.creatorId = filters.creatorId;
+  if (filters.sequenceId) {
+    const sequence = await Sequence.findOne({ id: filters.sequenceId }).select('activities.activityId').lean();
+    if (!sequence) {
+      throw new ServiceError('not_found', 'Sequence not found', 404);
+    }
+    match.activityId = { $in: sequence.activities.map(a => a.activityId) };
+  }
+
+  const [rollups, platform] = await Promise.all([
+    EngagementRollup.find(match).select('date activeUserIds ratings comments votes computedAt').lean(),
+    EngagementRollup.find({ date: dates, activityId: null }).select('date newUsers computedAt').lean()
+  ]);
+
+  const buckets = new Map();
+  for (let time = from.getTime(); time <= filters.to.getTime(); time += step) {
+    buckets.set(time, { newUsers: 0, ...emptyCounts() });
+  }
+
+  let updatedAt = null;
+  for (const rollup of [...rollups, ...platform]) {
+    const bucket = buckets.get(bucketOf(rollup.date).getTime());
+    if (!bucket) continue;
+    bucket.newUsers += rollup.newUsers || 0;
+    bucket.ratings += rollup.ratings || 0;
+    bucket.comments += rollup.comments || 0;
+    bucket.votes += rollup.votes || 0;
+    (rollup.activeUserIds || []).forEach(userId => bucket.activeUserIds.add(userId));
+    if (!updatedAt || rollup.computedAt > updatedAt) updatedAt = rollup.computedAt;
+  }
+
+  return {
+    interval: filters.interval,
+    from,
+    to: filters.to,
+    filters: {
+      activityType: filters.activityType,
+      sequenceId: filters.sequenceId,
+      creatorId: filters.creatorId
+    },
+    // When the newest rollup in range was computed (null: none yet)
+    updatedAt,
+    series: [...buckets].map(([time, bucket]) => ({
+      start: new Date(time),
+      newUsers: bucket.newUsers,
+      activeParticipants: bucket.activeUserIds.size,
+      ratings: bucket.ratings,
+      comments: bucket.comments,
+      votes: bucket.votes
+    }))
+  };
+}
+
+module.exports = {
+  DAY_MS,
+  startOfDay,
+  startOfWeek,
+  countActivityDays,
+  rollUp,
+  parseSeriesQuery,
+  getEngagementSeries
+};
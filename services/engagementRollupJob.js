@@ -0,0 +1,66 @@
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+const EngagementRollup = require('../models/EngagementRollup');
+const { DAY_MS, rollUp } = require('./engagementMetrics');
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 2;
+
+// Background job that keeps EngagementRollup up to date.
+// The first run backfills from the oldest activity or user. Later runs
+// recompute the last `lookbackDays` days (and any days missed while no
+// instance was running), so late votes and deletions are picked up while the
+// day is recent. Older days are left as they were rolled up.
+function createEngagementRollupJob(options = {}) {
+  const intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+  const lookbackDays = options.lookbackDays || DEFAULT_LOOKBACK_DAYS;
+  const isReady = options.isReady || (() => true);
+  let timer = null;
+  let running = false;
+
+  async function findStart(now) {
+    const latest = await EngagementRollup.findOne().sort({ date: -1 }).select('date').lean();
+    const recent = new Date(now.getTime() - lookbackDays * DAY_MS);
+    if (latest) return latest.date < recent ? latest.date : recent;
+
+    const [oldestActivity, oldestUser] = await Promise.all([
+      Activity.findOne().sort({ createdAt: 1 }).select('createdAt').lean(),
+      User.findOne().sort({ createdAt: 1 }).select('createdAt').lean()
+    ]);
+    const dates = [oldestActivity?.createdAt, oldestUser?.createdAt, recent].filter(Boolean);
+    return new Date(Math.min(...dates.map(date => new Date(date).getTime())));
+  }
+
+  async function tick(now = new Date()) {
+    if (running || !isReady()) return;
+    running = true;
+
+    try {
+      const result = await rollUp(await findStart(now), now);
+      console.log(`📈 Rolled up engagement for ${result.activities} activities over ${result.days} days`);
+      if (result.removedActivities > 0) {
+        console.log(`📈 Removed engagement rollups of ${result.removedActivities} deleted activities`);
+      }
+    } catch (error) {
+      console.error('❌ Engagement rollup failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    tick,
+    start() {
+      if (timer) return;
+      console.log(`📈 Engagement rollups running every ${Math.round(intervalMs / 1000)}s`);
+      tick();
+      timer = setInterval(tick, intervalMs);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = createEngagementRollupJob;
@@ -0,0 +1,14 @@
+// Expected failure with a stable code clients can act on.
+// `status` is the HTTP status REST routes respond with.
+class ServiceError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'ServiceError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+module.exports = {
+  ServiceError
+};
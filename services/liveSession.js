@@ -0,0 +1,203 @@
+const Activity = require('../models/Activity');
+const Sequence = require('../models/Sequence');
+const { ServiceError } = require('./errors');
+const { broadcastToActivity } = require('./activityEvents');
+const { clearLivePreviewCache } = require('./positionPreview');
+const { notifyVisibilityChanged, notifyStatusChanged } = require('./revealPolicy');
+const { snapshotProgression, emitProgressionChanges } = require('./sequenceEvents');
+const { FACILITATOR_ROLES, CAPABILITIES, getActivityRole, hasSequenceCapability } = require('./permissions');
+
+const MAX_TIMER_SECONDS = 24 * 60 * 60;
+
+// Submissions are locked by the facilitator, or by a countdown set to lock when it ends
+function isSubmissionLocked(activity, now = new Date()) {
+  const session = activity.liveSession || {};
+  if (session.locked) return true;
+  return !!(session.timer?.lockOnEnd && session.timer.endsAt && session.timer.endsAt <= now);
+}
+
+// Session state as sent to clients. `locked` includes an expired lock-on-end
+// timer; serverTime lets clients correct their countdown for clock skew.
+function getLiveSessionState(activity, now = new Date()) {
+  const session = activity.liveSession || {};
+  return {
+    revealed: session.revealed !== false,
+    locked: isSubmissionLocked(activity, now),
+    timer: session.timer?.endsAt
+      ? {
+        startedAt: session.timer.startedAt,
+        endsAt: session.timer.endsAt,
+        lockOnEnd: !!session.timer.lockOnEnd
+      }
+      : null,
+    spotlightCommentId: session.spotlightCommentId || null,
+    updatedBy: session.updatedBy || null,
+    updatedAt: session.updatedAt || null,
+    serverTime: now
+  };
+}
+
+// Load an activity the user may run a live session on
+async function loadFacilitatedActivity(activityId, user) {
+  const activity = await Activity.findOne({ id: activityId });
+  if (!activity) {
+    throw new ServiceError('not_found', 'Activity not found', 404);
+  }
+
+  const role = await getActivityRole(activity, user, CAPABILITIES.OPEN_CLOSE_ACTIVITIES);
+  if (!role || !FACILITATOR_ROLES.includes(role)) {
+    throw new ServiceError('forbidden', 'Only facilitators can control this session', 403);
+  }
+
+  return activity;
+}
+
+// Persist session changes and broadcast session_updated to the activity room
+async function applySessionChanges(io, activity, user, changes) {
+  const now = new Date();
+  const update = {
+    'liveSession.updatedBy': user.id,
+    'liveSession.updatedAt': now
+  };
+  for (const [field, value] of Object.entries(changes)) {
+    update[`liveSession.${field}`] = value;
+  }
+
+  const updated = await Activity.findOneAndUpdate({ id: activity.id }, { $set: update }, { new: true });
+  const liveSession = getLiveSessionState(updated, now);
+  await broadcastToActivity(io, activity.id, 'session_updated', { liveSession });
+  return liveSession;
+}
+
+// Show or hide everyone's dots. Hidden entries are filtered on the server
+// (see services/revealPolicy.js), so viewers resync after the change.
+async function setRevealed(io, user, { activityId, revealed }) {
+  if (typeof revealed !== 'boolean') {
+    throw new ServiceError('invalid_request', 'revealed must be true or false');
+  }
+  const activity = await loadFacilitatedActivity(activityId, user);
+  const liveSession = await applySessionChanges(io, activity, user, { revealed });
+  clearLivePreviewCache(activityId);
+  await notifyVisibilityChanged(io, activityId);
+  return liveSession;
+}
+
+// Lock or unlock submissions. Unlocking also clears a lock-on-end timer that has run out.
+async function setLocked(io, user, { activityId, locked }) {
+  if (typeof locked !== 'boolean') {
+    throw new ServiceError('invalid_request', 'locked must be true or false');
+  }
+  const activity = await loadFacilitatedActivity(activityId, user);
+  const changes = { locked };
+  if (!locked && isSubmissionLocked(activity)) {
+    changes['timer.lockOnEnd'] = false;
+  }
+  return applySessionChanges(io, activity, user, changes);
+}
+
+// Start a countdown, or clear it with durationSeconds null/0
+async function setTimer(io, user, { activityId, durationSeconds, lockOnEnd = false }) {
+  const clearing = durationSeconds === null || durationSeconds === 0 || durationSeconds === undefined;
+  if (!clearing && (!Number.isInteger(durationSeconds) || durationSeconds < 1 || durationSeconds > MAX_TIMER_SECONDS)) {
+    throw new ServiceError('invalid_request', `durationSeconds must be between 1 and ${MAX_TIMER_SECONDS}`);
+  }
+
+  const activity = await loadFacilitatedActivity(activityId, user);
+  const now = new Date();
+  return applySessionChanges(io, activity, user, clearing
+    ? { 'timer.startedAt': null, 'timer.endsAt': null, 'timer.lockOnEnd': false }
+    : {
+      'timer.startedAt': now,
+      'timer.endsAt': new Date(now.getTime() + durationSeconds * 1000),
+      'timer.lockOnEnd': !!lockOnEnd
+    });
+}
+
+// Highlight one comment for everyone, or clear it with commentId null
+async function setSpotlight(io, user, { activityId, commentId }) {
+  const activity = await loadFacilitatedActivity(activityId, user);
+  if (commentId && !activity.comments.some(c => c.id === commentId)) {
+    throw new ServiceError('not_found', 'Comment not found', 404);
+  }
+  return applySessionChanges(io, activity, user, { spotlightCommentId: commentId || null });
+}
+
+// Move everyone to the next activity in the sequence: close this one if it is
+// still open, open the next one if it is ready, then tell the room where to go.
+// targetActivityId picks a branch when the activity has several children.
+async function advanceToNextActivity(io, user, { activityId, sequenceId, targetActivityId }) {
+  const sequence = await Sequence.findOne({ id: sequenceId });
+  if (!sequence) {
+    throw new ServiceError('not_found', 'Sequence not found', 404);
+  }
+
+  if (!hasSequenceCapability(sequence, user, CAPABILITIES.OPEN_CLOSE_ACTIVITIES)) {
+    throw new ServiceError('forbidden', 'Only facilitators can control this session', 403);
+  }
+
+  if (sequence.status !== 'active') {
+    throw new ServiceError('sequence_inactive', 'Sequence is not active');
+  }
+
+  const node = sequence.getGraph().nodes.find(n => n.activityId === activityId);
+  if (!node) {
+    throw new ServiceError('not_found', 'Activity not found in sequence', 404);
+  }
+
+  const nextActivityId = targetActivityId || node.childActivityIds[0];
+  if (!nextActivityId || !node.childActivityIds.includes(nextActivityId)) {
+    throw new ServiceError('no_next_activity', 'There is no next activity to move to');
+  }
+
+  // The next activity must be able to open once this one closes
+  const now = new Date();
+  const target = sequence.activities.find(a => a.activityId === nextActivityId);
+  const otherParentsClosed = Sequence.getParentIds(sequence.activities, target)
+    .filter(parentId => parentId !== activityId)
+    .every(parentId => Sequence.isActivityClosed(sequence.activities.find(a => a.activityId === parentId), now));
+  if (!target.openedAt && !otherParentsClosed) {
+    throw new ServiceError('next_not_ready', 'The next activity is waiting on other activities to close');
+  }
+
+  const before = snapshotProgression(sequence);
+  let completed = null;
+  try {
+    if (node.state === 'open') {
+      await sequence.closeActivity(activityId);
+      // Mark it completed now so the scheduler doesn't announce the close again
+      completed = await Activity.findOneAndUpdate(
+        { id: activityId, status: 'active' },
+        { status: 'completed' },
+        { projection: { id: 1, revealPolicy: 1 } }
+      );
+    }
+    if (Sequence.getActivityState(sequence.activities, target) === 'ready') {
+      await sequence.openActivity(nextActivityId);
+    }
+  } catch (error) {
+    throw new ServiceError('advance_failed', `Could not move to the next activity: ${error.message}`, 409);
+  }
+  emitProgressionChanges(io, sequence, before);
+  await notifyStatusChanged(io, completed);
+
+  const nextActivity = await Activity.findOne({ id: nextActivityId }).select('id title urlName').lean();
+  const payload = {
+    activityId,
+    sequenceId,
+    nextActivityId,
+    nextActivityTitle: nextActivity?.title || null,
+    nextActivityUrlName: nextActivity?.urlName || null
+  };
+  if (io) io.to(activityId).emit('session_advanced', payload);
+  return payload;
+}
+
+module.exports = {
+  isSubmissionLocked,
+  getLiveSessionState,
+  setRevealed,
+  setLocked,
+  setTimer,
+  setSpotlight,
+  advanceToNextActivity
+};
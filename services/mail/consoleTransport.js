@@ -0,0 +1,14 @@
+// Logs mail to the console instead of sending it (local development)
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      const messageId = `console_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      console.log(`📧 [MAIL] To: ${message.to} | Subject: ${message.subject}`);
+      console.log(message.text);
+      return { messageId };
+    }
+  };
+}
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,58 @@
+const createSmtpTransport = require('./smtpTransport');
+const createConsoleTransport = require('./consoleTransport');
+const createMemoryTransport = require('./memoryTransport');
+
+// Transport interface: { name, send({ from, to, subject, text, html }) => { messageId } }
+let transport = null;
+
+// Pick a transport from MAIL_TRANSPORT (smtp | console | memory).
+// Defaults to smtp when SMTP_HOST is set, otherwise console.
+function createTransportFromEnv() {
+  const type = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+  switch (type) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'memory':
+      return createMemoryTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${type}`);
+  }
+}
+
+function getMailTransport() {
+  if (!transport) {
+    transport = createTransportFromEnv();
+    console.log(`📧 Mail transport: ${transport.name}`);
+  }
+  return transport;
+}
+
+// Swap the transport (tests use the memory transport)
+function setMailTransport(newTransport) {
+  transport = newTransport;
+}
+
+async function sendMail(message) {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'Holoscopic <no-reply@holoscopic.io>',
+    ...message
+  });
+}
+
+module.exports = {
+  sendMail,
+  getMailTransport,
+  setMailTransport,
+  createSmtpTransport,
+  createConsoleTransport,
+  createMemoryTransport
+};
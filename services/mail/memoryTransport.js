@@ -0,0 +1,23 @@
+// Keeps sent mail in memory so tests can inspect it
+function createMemoryTransport() {
+  const messages = [];
+
+  return {
+    name: 'memory',
+    messages,
+    async send(message) {
+      const messageId = `memory_${messages.length + 1}`;
+      messages.push({ ...message, messageId, sentAt: new Date() });
+      return { messageId };
+    },
+    // Most recent message sent to an address
+    lastMessageTo(address) {
+      return [...messages].reverse().find(m => m.to === address) || null;
+    },
+    clear() {
+      messages.length = 0;
+    }
+  };
+}
+
+module.exports = createMemoryTransport;
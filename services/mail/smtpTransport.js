@@ -0,0 +1,21 @@
+const nodemailer = require('nodemailer');
+
+// Sends mail through an SMTP server
+function createSmtpTransport(options = {}) {
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port || 587,
+    secure: !!options.secure,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,40 @@
+// Moderation hooks run on user-written comment and reply text before it is
+// saved, in the order they were added. A hook receives
+// { activity, userId, text, type } where type is 'comment' or 'reply', and
+// may return:
+//   { allowed: false, reason } - reject the text (reason is shown to the user)
+//   { text }                   - save this text instead, e.g. with words masked
+//   nothing                    - accept the text as is
+const hooks = [];
+
+// Returns a function that removes the hook again
+function addModerationHook(hook) {
+  hooks.push(hook);
+  return () => {
+    const index = hooks.indexOf(hook);
+    if (index !== -1) hooks.splice(index, 1);
+  };
+}
+
+// Run every hook; resolves to { allowed: true, text } or { allowed: false, reason }
+async function moderateText({ activity, userId, text, type }) {
+  let current = text;
+
+  for (const hook of hooks) {
+    const result = await hook({ activity, userId, text: current, type });
+    if (!result) continue;
+    if (result.allowed === false) {
+      return { allowed: false, reason: result.reason || 'This text was rejected by moderation' };
+    }
+    if (typeof result.text === 'string') {
+      current = result.text;
+    }
+  }
+
+  return { allowed: true, text: current };
+}
+
+module.exports = {
+  addModerationHook,
+  moderateText
+};
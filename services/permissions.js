@@ -0,0 +1,95 @@
+const Sequence = require('../models/Sequence');
+
+// Roles a user can hold on an activity or sequence
+const ROLES = {
+  OWNER: 'owner',
+  COFACILITATOR: 'cofacilitator',
+  ADMIN: 'admin'
+};
+
+// Role sets used by routes
+const OWNER_ROLES = [ROLES.OWNER, ROLES.ADMIN];
+const FACILITATOR_ROLES = [ROLES.OWNER, ROLES.COFACILITATOR, ROLES.ADMIN];
+
+// Per-facilitator capabilities stored on Sequence.facilitators[].capabilities
+const CAPABILITIES = {
+  MANAGE_MEMBERS: 'manageMembers',
+  OPEN_CLOSE_ACTIVITIES: 'openCloseActivities',
+  EDIT_ACTIVITIES: 'editActivities',
+  VIEW_EMAILS: 'viewEmails'
+};
+
+const isAdmin = (user) => !!user && user.role === 'admin';
+
+const findFacilitator = (sequence, userId) => {
+  return (sequence.facilitators || []).find(f => f.userId === userId);
+};
+
+// Resolve a user's role on a sequence (null = no special rights)
+function getSequenceRole(sequence, user) {
+  if (!user) return null;
+  if (sequence.createdBy && sequence.createdBy === user.id) return ROLES.OWNER;
+  if (isAdmin(user)) return ROLES.ADMIN;
+  if (findFacilitator(sequence, user.id)) return ROLES.COFACILITATOR;
+  return null;
+}
+
+// Owners and admins have every capability; facilitators only those granted
+function hasSequenceCapability(sequence, user, capability) {
+  const role = getSequenceRole(sequence, user);
+  if (!role) return false;
+  if (OWNER_ROLES.includes(role)) return true;
+
+  const facilitator = findFacilitator(sequence, user.id);
+  return !!facilitator.capabilities?.[capability];
+}
+
+// Resolve a user's role on an activity (null = no special rights).
+// Owners and facilitators of a sequence that contains the activity
+// co-facilitate it. When a capability is given, facilitators only count
+// if they hold that capability. Pass facilitatedActivityIds (see
+// getFacilitatedActivityIds) to skip the sequence lookup when checking many activities.
+async function getActivityRole(activity, user, capability = null, facilitatedActivityIds = null) {
+  if (!user) return null;
+  if (activity.author?.userId && activity.author.userId === user.id) return ROLES.OWNER;
+  if (isAdmin(user)) return ROLES.ADMIN;
+
+  if (facilitatedActivityIds && !capability) {
+    return facilitatedActivityIds.has(activity.id) ? ROLES.COFACILITATOR : null;
+  }
+
+  const facilitatorMatch = capability
+    ? { facilitators: { $elemMatch: { userId: user.id, [`capabilities.${capability}`]: true } } }
+    : { 'facilitators.userId': user.id };
+
+  const facilitatedSequence = await Sequence.exists({
+    'activities.activityId': activity.id,
+    $or: [
+      { createdBy: user.id },
+      facilitatorMatch
+    ]
+  });
+
+  return facilitatedSequence ? ROLES.COFACILITATOR : null;
+}
+
+// IDs of the activities in every sequence the user created or co-facilitates,
+// found with one query so lists don't look up each activity's sequences
+async function getFacilitatedActivityIds(user) {
+  if (!user) return new Set();
+  const sequences = await Sequence.find({
+    $or: [{ createdBy: user.id }, { 'facilitators.userId': user.id }]
+  }).select('activities.activityId').lean();
+  return new Set(sequences.flatMap(sequence => sequence.activities.map(a => a.activityId)));
+}
+
+module.exports = {
+  ROLES,
+  OWNER_ROLES,
+  FACILITATOR_ROLES,
+  CAPABILITIES,
+  getSequenceRole,
+  hasSequenceCapability,
+  getActivityRole,
+  getFacilitatedActivityIds
+};
@@ -0,0 +1,96 @@
+const Activity = require('../models/Activity');
+const { isRevealedToAll } = require('./revealPolicy');
+
+// Minimum time between position_preview broadcasts per socket and activity
+const PREVIEW_INTERVAL_MS = Number(process.env.POSITION_PREVIEW_INTERVAL_MS) || 100;
+const FLAG_CACHE_MS = 5 * 1000;
+const MAX_CACHED_FLAGS = 1000;
+
+// activityId -> { enabled, revealed, expiresAt }. Previews arrive many times a
+// second, so the livePreview flag and whether entries are revealed to everyone
+// are cached briefly instead of read on every event.
+const flagCache = new Map();
+
+// { enabled, revealed }. Previews show where others are placing, so they are
+// only sent while the reveal policy shows every entry to every viewer.
+async function getLivePreviewState(activityId) {
+  const cached = flagCache.get(activityId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { enabled: cached.enabled, revealed: cached.revealed };
+  }
+
+  const activity = await Activity.findOne({ id: activityId })
+    .select('livePreview revealPolicy status liveSession.revealed')
+    .lean();
+  const state = {
+    enabled: !!activity?.livePreview,
+    revealed: !!activity && isRevealedToAll(activity)
+  };
+
+  if (flagCache.size >= MAX_CACHED_FLAGS) flagCache.clear();
+  flagCache.set(activityId, { ...state, expiresAt: Date.now() + FLAG_CACHE_MS });
+  return state;
+}
+
+// Called when the flag or the activity's visibility changes so this instance
+// picks it up right away
+function clearLivePreviewCache(activityId) {
+  flagCache.delete(activityId);
+}
+
+// Throttle previews for one socket: at most one send per interval per key.
+// Positions that arrive in between replace each other, and the latest one
+// is sent when the interval ends so the final position isn't dropped.
+function createPreviewThrottle(send, intervalMs = PREVIEW_INTERVAL_MS) {
+  const state = new Map(); // key -> { lastSentAt, pending, timer }
+
+  const flush = (key) => {
+    const entry = state.get(key);
+    if (!entry) return;
+    entry.timer = null;
+    if (entry.pending) {
+      entry.lastSentAt = Date.now();
+      send(key, entry.pending);
+      entry.pending = null;
+    }
+  };
+
+  return {
+    // Returns true if the preview went out immediately, false if it was deferred
+    push(key, payload) {
+      const entry = state.get(key) || { lastSentAt: 0, pending: null, timer: null };
+      state.set(key, entry);
+
+      const wait = entry.lastSentAt + intervalMs - Date.now();
+      if (wait <= 0 && !entry.timer) {
+        entry.lastSentAt = Date.now();
+        send(key, payload);
+        return true;
+      }
+
+      entry.pending = payload;
+      if (!entry.timer) {
+        entry.timer = setTimeout(() => flush(key), Math.max(wait, 0));
+      }
+      return false;
+    },
+
+    // Drop any deferred preview for a key
+    cancel(key) {
+      const entry = state.get(key);
+      if (entry) clearTimeout(entry.timer);
+      state.delete(key);
+    },
+
+    cancelAll() {
+      for (const key of state.keys()) this.cancel(key);
+    }
+  };
+}
+
+module.exports = {
+  PREVIEW_INTERVAL_MS,
+  getLivePreviewState,
+  clearLivePreviewCache,
+  createPreviewThrottle
+};
@@ -0,0 +1,119 @@
+const { getActivityRole } = require('./permissions');
+
+// immediate             - everyone sees every entry as it arrives
+// after_submit          - a participant sees others once they have placed a rating
+// on_facilitator_reveal - hidden until a facilitator reveals (liveSession.revealed)
+// on_close              - hidden until the activity is completed
+const REVEAL_POLICIES = ['immediate', 'after_submit', 'on_facilitator_reveal', 'on_close'];
+
+// Whether the policy currently shows every entry to every viewer.
+// A facilitator hiding entries (session_reveal) overrides every policy.
+function isRevealedToAll(activity) {
+  if (activity.liveSession?.revealed === false) return false;
+
+  switch (activity.revealPolicy || 'immediate') {
+    case 'after_submit':
+      return false;
+    case 'on_facilitator_reveal':
+      return activity.liveSession?.revealed === true;
+    case 'on_close':
+      return activity.status === 'completed';
+    default:
+      return true;
+  }
+}
+
+// Whether a viewer may see other participants' ratings and comments.
+// Facilitators always can; anonymous viewers only once entries are revealed to all.
+// facilitatedActivityIds is passed on to getActivityRole when checking many activities.
+async function canSeeOthers(activity, user, facilitatedActivityIds = null) {
+  if (isRevealedToAll(activity)) return true;
+  if (!user) return false;
+
+  const blind = activity.liveSession?.revealed === false;
+  if (!blind && activity.revealPolicy === 'after_submit' && (activity.ratings || []).some(r => r.userId === user.id)) {
+    return true;
+  }
+
+  return !!(await getActivityRole(activity, user, null, facilitatedActivityIds));
+}
+
+// Activity state with only the viewer's own ratings and comments
+function hideOthersEntries(activityObj, viewerId) {
+  return {
+    ...activityObj,
+    ratings: (activityObj.ratings || []).filter(r => r.userId === viewerId),
+    comments: (activityObj.comments || []).filter(c => c.userId === viewerId),
+    ...(activityObj.ratingHistory && {
+      ratingHistory: activityObj.ratingHistory.filter(h => h.userId === viewerId)
+    }),
+    entriesHidden: true
+  };
+}
+
+// Broadcasts that carry entries: a rating, a comment, a reply, or the whole activity
+const carriesEntries = (data) => !!(data.rating || data.comment || data.reply || data.activity);
+
+// A broadcast as seen by a viewer who can't see others' entries yet. Hidden
+// events keep their version so the viewer's version sequence has no gaps.
+function redactEventData(data, viewerId) {
+  if (data.activity) {
+    return { ...data, activity: hideOthersEntries(data.activity, viewerId) };
+  }
+
+  // Replies are visible along with the comment they belong to
+  const ownerId = data.reply ? data.commentUserId : (data.rating || data.comment)?.userId;
+  if (ownerId !== undefined && ownerId !== viewerId) {
+    return { activityId: data.activityId, version: data.version, hidden: true };
+  }
+  return data;
+}
+
+// Emit to each socket in the activity room, redacted for viewers who can't see others yet
+async function emitWithRevealPolicy(io, activity, event, data) {
+  const sockets = await io.in(activity.id).fetchSockets();
+  const visibleTo = new Map(); // userId -> canSeeOthers
+
+  for (const socket of sockets) {
+    const userId = socket.data.user?.id;
+    if (!visibleTo.has(userId)) {
+      visibleTo.set(userId, await canSeeOthers(activity, socket.data.user));
+    }
+    socket.emit(event, visibleTo.get(userId) ? data : redactEventData(data, userId));
+  }
+}
+
+// Tell viewers that what they may see has changed so they fetch a fresh
+// snapshot. Pass userId to notify only that user's sockets.
+async function notifyVisibilityChanged(io, activityId, userId = null) {
+  if (!io) return;
+  if (!userId) {
+    io.to(activityId).emit('visibility_changed', { activityId });
+    return;
+  }
+
+  const sockets = await io.in(activityId).fetchSockets();
+  for (const socket of sockets) {
+    if (socket.data.user?.id === userId) socket.emit('visibility_changed', { activityId });
+  }
+}
+
+// Completing or reopening an activity reveals or hides entries under on_close.
+// Call with the activity (id and revealPolicy) whenever its status changes.
+async function notifyStatusChanged(io, activity) {
+  if (activity?.revealPolicy === 'on_close') {
+    await notifyVisibilityChanged(io, activity.id);
+  }
+}
+
+module.exports = {
+  REVEAL_POLICIES,
+  isRevealedToAll,
+  canSeeOthers,
+  hideOthersEntries,
+  carriesEntries,
+  redactEventData,
+  emitWithRevealPolicy,
+  notifyVisibilityChanged,
+  notifyStatusChanged
+};
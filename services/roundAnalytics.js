@@ -0,0 +1,86 @@
+// Per-round analytics: where each round's ratings sit on the map and how far
+// participants moved from one round to the next.
+
+const { round4, distance, centroid } = require('./analyticsMath');
+
+const entryKey = (rating) => `${rating.userId}|${rating.slotNumber || 1}|${rating.questionId || ''}`;
+
+const average = (values) => (values.length ? round4(values.reduce((a, b) => a + b, 0) / values.length) : null);
+
+// {
+//   currentRound,
+//   rounds: [{ round, label, startedAt, ratings, comments, centroid }],
+//   transitions: [{ from, to, participants, averageDistance, centroidShift }],
+//   movement: [{ userId, username, slotNumber, questionId, from, to, dx, dy, distance }]
+// }
+// Movement compares a user's rating for the same slot and question in two
+// consecutive rounds they took part in.
+function buildRoundStats(activity) {
+  const currentRound = activity.currentRound || 1;
+  const roundOf = (entry) => entry.round || 1;
+  const ratings = activity.ratings || [];
+  const comments = activity.comments || [];
+  const roundInfo = new Map((activity.rounds || []).map(r => [r.number, r]));
+
+  const rounds = [];
+  for (let number = 1; number <= currentRound; number++) {
+    const roundRatings = ratings.filter(r => roundOf(r) === number);
+    rounds.push({
+      round: number,
+      label: roundInfo.get(number)?.label || '',
+      startedAt: roundInfo.get(number)?.startedAt || (number === 1 ? activity.createdAt || null : null),
+      ratings: roundRatings.length,
+      comments: comments.filter(c => roundOf(c) === number).length,
+      centroid: centroid(roundRatings.map(r => r.position))
+    });
+  }
+
+  // Each user/slot/question's ratings, in round order
+  const byEntry = new Map();
+  for (const rating of [...ratings].sort((a, b) => roundOf(a) - roundOf(b))) {
+    const key = entryKey(rating);
+    if (!byEntry.has(key)) byEntry.set(key, []);
+    byEntry.get(key).push(rating);
+  }
+
+  const movement = [];
+  for (const entries of byEntry.values()) {
+    for (let i = 1; i < entries.length; i++) {
+      const before = entries[i - 1];
+      const after = entries[i];
+      movement.push({
+        userId: after.userId,
+        username: after.username,
+        slotNumber: after.slotNumber || 1,
+        questionId: after.questionId || null,
+        from: roundOf(before),
+        to: roundOf(after),
+        dx: round4(after.position.x - before.position.x),
+        dy: round4(after.position.y - before.position.y),
+        distance: round4(distance(before.position, after.position))
+      });
+    }
+  }
+
+  const transitions = [];
+  for (let number = 2; number <= currentRound; number++) {
+    const moves = movement.filter(m => m.to === number && m.from === number - 1);
+    const from = rounds[number - 2].centroid;
+    const to = rounds[number - 1].centroid;
+    transitions.push({
+      from: number - 1,
+      to: number,
+      participants: new Set(moves.map(m => m.userId)).size,
+      averageDistance: average(moves.map(m => m.distance)),
+      centroidShift: from && to
+        ? { dx: round4(to.x - from.x), dy: round4(to.y - from.y), distance: round4(distance(from, to)) }
+        : null
+    });
+  }
+
+  return { currentRound, rounds, transitions, movement };
+}
+
+module.exports = {
+  buildRoundStats
+};
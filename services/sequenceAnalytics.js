@@ -0,0 +1,170 @@
+// Cohort analytics for a sequence: how each member moved through its
+// activities, and where members dropped off.
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const rate = (count, total) => (total ? Math.round((count / total) * 10000) / 10000 : 0);
+
+// Earliest rating or comment by the user. ratingHistory keeps first placements
+// that were later replaced; comment timestamps survive edits.
+function firstSubmissionAt(activity, userId) {
+  const times = [
+    ...(activity.ratingHistory || []).filter(h => h.userId === userId).map(h => h.timestamp),
+    ...(activity.ratings || []).filter(r => r.userId === userId).map(r => r.timestamp),
+    ...(activity.comments || []).filter(c => c.userId === userId).map(c => c.timestamp)
+  ].filter(Boolean).map(time => new Date(time).getTime());
+
+  return times.length ? new Date(Math.min(...times)) : null;
+}
+
+// Votes on comments and replies given by the user, and received on theirs
+function countVotes(activity, userId) {
+  let given = 0;
+  let received = 0;
+  for (const comment of activity.comments || []) {
+    for (const entry of [comment, ...(comment.replies || [])]) {
+      given += (entry.votes || []).filter(v => v.userId === userId).length;
+      if (entry.userId === userId) received += (entry.votes || []).length;
+    }
+  }
+  return { given, received };
+}
+
+// Per member and activity results, member totals and a drop-off funnel.
+// activities: the sequence's Activity documents (missing ones are skipped).
+//
+// The funnel follows the graph: a member is eligible for an activity once
+// they submitted in all of its ancestors (roots: every member), retained if
+// they also submitted in it, and dropped off otherwise. Ancestors whose
+// activity is missing are skipped rather than counted as unmet.
+function buildJourneyAnalytics(sequence, activities) {
+  const graph = sequence.getGraph();
+  const byId = new Map(activities.map(activity => [activity.id, activity]));
+  const nodes = graph.nodes
+    .filter(node => byId.has(node.activityId))
+    .sort((a, b) => a.rank - b.rank || a.order - b.order);
+  const members = (sequence.members || []).filter(member => member.userId);
+
+  const journeys = members.map(member => {
+    const steps = nodes.map(node => {
+      const activity = byId.get(node.activityId);
+      const participant = (activity.participants || []).find(p => p.id === member.userId);
+      const submitted = (activity.ratings || []).some(r => r.userId === member.userId) ||
+        (activity.comments || []).some(c => c.userId === member.userId);
+      const firstAt = submitted ? firstSubmissionAt(activity, member.userId) : null;
+      const votes = countVotes(activity, member.userId);
+
+      return {
+        activityId: node.activityId,
+        joined: !!participant,
+        submitted,
+        firstSubmissionAt: firstAt,
+        secondsToFirstSubmission: firstAt && node.openedAt
+          ? Math.max(0, Math.round((firstAt - new Date(node.openedAt)) / 1000))
+          : null,
+        votesGiven: votes.given,
+        votesReceived: votes.received
+      };
+    });
+
+    const timings = steps.map(step => step.secondsToFirstSubmission).filter(value => value !== null);
+    return {
+      userId: member.userId,
+      username: member.username || null,
+      email: member.email || null,
+      joinedAt: member.joinedAt,
+      activitiesSubmitted: steps.filter(step => step.submitted).length,
+      completionRate: rate(steps.filter(step => step.submitted).length, steps.length),
+      medianSecondsToFirstSubmission: median(timings),
+      votesGiven: steps.reduce((sum, step) => sum + step.votesGiven, 0),
+      votesReceived: steps.reduce((sum, step) => sum + step.votesReceived, 0),
+      activities: steps
+    };
+  });
+
+  // All ancestors of each activity in the graph
+  const parentsOf = new Map(graph.nodes.map(node => [node.activityId, node.parentActivityIds]));
+  const ancestorsOf = (activityId, seen = new Set()) => {
+    for (const parentId of parentsOf.get(activityId) || []) {
+      if (!seen.has(parentId)) {
+        seen.add(parentId);
+        ancestorsOf(parentId, seen);
+      }
+    }
+    return seen;
+  };
+
+  const submittedIn = (journey, activityId) => journey.activities.some(step => step.activityId === activityId && step.submitted);
+
+  const funnel = nodes.map(node => {
+    const activity = byId.get(node.activityId);
+    const ancestors = [...ancestorsOf(node.activityId)].filter(id => byId.has(id));
+    const eligible = journeys.filter(journey => ancestors.every(id => submittedIn(journey, id)));
+    const retained = eligible.filter(journey => submittedIn(journey, node.activityId));
+    const steps = journeys.map(journey => journey.activities.find(step => step.activityId === node.activityId));
+
+    return {
+      activityId: node.activityId,
+      title: activity.title,
+      state: node.state,
+      rank: node.rank,
+      openedAt: node.openedAt,
+      closedAt: node.closedAt,
+      joined: steps.filter(step => step.joined).length,
+      submitted: steps.filter(step => step.submitted).length,
+      completionRate: rate(steps.filter(step => step.submitted).length, journeys.length),
+      medianSecondsToFirstSubmission: median(steps.map(step => step.secondsToFirstSubmission).filter(value => value !== null)),
+      eligible: eligible.length,
+      retained: retained.length,
+      droppedOff: eligible.length - retained.length,
+      dropOffRate: rate(eligible.length - retained.length, eligible.length)
+    };
+  });
+
+  return {
+    sequenceId: sequence.id,
+    title: sequence.title,
+    mode: graph.mode,
+    memberCount: journeys.length,
+    activities: nodes.map(node => ({ activityId: node.activityId, title: byId.get(node.activityId).title })),
+    members: journeys,
+    funnel
+  };
+}
+
+// One CSV row per member and activity
+const JOURNEY_CSV_COLUMNS = [
+  { key: 'userId', header: 'User ID' },
+  { key: 'username', header: 'Username' },
+  { key: 'email', header: 'Email' },
+  { key: 'activityId', header: 'Activity ID' },
+  { key: 'activityTitle', header: 'Activity' },
+  { key: 'joined', header: 'Joined' },
+  { key: 'submitted', header: 'Submitted' },
+  { key: 'firstSubmissionAt', header: 'First submission' },
+  { key: 'secondsToFirstSubmission', header: 'Seconds to first submission' },
+  { key: 'votesGiven', header: 'Votes given' },
+  { key: 'votesReceived', header: 'Votes received' }
+];
+
+function journeyCsvRows(report) {
+  const titles = new Map(report.activities.map(a => [a.activityId, a.title]));
+  return report.members.flatMap(member => member.activities.map(step => ({
+    userId: member.userId,
+    username: member.username,
+    email: member.email,
+    activityTitle: titles.get(step.activityId),
+    ...step
+  })));
+}
+
+module.exports = {
+  buildJourneyAnalytics,
+  JOURNEY_CSV_COLUMNS,
+  journeyCsvRows
+};
@@ -0,0 +1,111 @@
+const Sequence = require('../models/Sequence');
+
+// Events emitted to the sequence:<id> room
+const SEQUENCE_EVENTS = {
+  STARTED: 'sequence_started',
+  UPDATED: 'sequence_updated',
+  COMPLETED: 'sequence_completed',
+  ACTIVITY_OPENED: 'sequence_activity_opened',
+  ACTIVITY_CLOSED: 'sequence_activity_closed',
+  ACTIVITY_REOPENED: 'sequence_activity_reopened',
+  MEMBER_JOINED: 'member_joined',
+  MEMBER_LEFT: 'member_left'
+};
+
+const sequenceRoom = (sequenceId) => `sequence:${sequenceId}`;
+
+function emitToSequence(io, sequenceId, event, payload = {}) {
+  if (!io) return;
+  io.to(sequenceRoom(sequenceId)).emit(event, { sequenceId, ...payload });
+}
+
+// Title, status or the list of activities changed
+function emitSequenceUpdated(io, sequence) {
+  emitToSequence(io, sequence.id, SEQUENCE_EVENTS.UPDATED, {
+    title: sequence.title,
+    status: sequence.status,
+    activityIds: sequence.activities.map(entry => entry.activityId)
+  });
+}
+
+// Progression events also go to the activity room so participants
+// of that activity see it open or close
+function emitActivityOpened(io, sequenceId, entry, reopened = false) {
+  const payload = {
+    activityId: entry.activityId,
+    openedAt: entry.openedAt,
+    closedAt: entry.closedAt
+  };
+  emitToSequence(io, sequenceId, reopened ? SEQUENCE_EVENTS.ACTIVITY_REOPENED : SEQUENCE_EVENTS.ACTIVITY_OPENED, payload);
+  if (io) io.to(entry.activityId).emit('activity_opened', { sequenceId, ...payload, ...(reopened && { reopened }) });
+}
+
+function emitActivityClosed(io, sequenceId, entry) {
+  const payload = { activityId: entry.activityId, closedAt: entry.closedAt };
+  emitToSequence(io, sequenceId, SEQUENCE_EVENTS.ACTIVITY_CLOSED, payload);
+  if (io) io.to(entry.activityId).emit('activity_closed', { sequenceId, ...payload });
+}
+
+function emitSequenceCompleted(io, sequence, completedAt) {
+  emitToSequence(io, sequence.id, SEQUENCE_EVENTS.COMPLETED, { completedAt });
+  if (!io) return;
+  for (const entry of sequence.activities) {
+    io.to(entry.activityId).emit('sequence_completed', { sequenceId: sequence.id, completedAt });
+  }
+}
+
+// Public member fields (never the email)
+function emitMemberJoined(io, sequenceId, member) {
+  emitToSequence(io, sequenceId, SEQUENCE_EVENTS.MEMBER_JOINED, {
+    member: {
+      userId: member.userId,
+      username: member.username || null,
+      joinedAt: member.joinedAt
+    }
+  });
+}
+
+function emitMemberLeft(io, sequenceId, userId) {
+  emitToSequence(io, sequenceId, SEQUENCE_EVENTS.MEMBER_LEFT, { userId });
+}
+
+// Capture openedAt/closedAt of every activity before a change
+function snapshotProgression(sequence) {
+  return new Map(sequence.activities.map(entry => [
+    entry.activityId,
+    { openedAt: entry.openedAt, closedAt: entry.closedAt }
+  ]));
+}
+
+// Emit opened/closed/reopened events for activities that changed since the snapshot
+function emitProgressionChanges(io, sequence, before, now = new Date()) {
+  for (const entry of sequence.activities) {
+    const previous = before.get(entry.activityId) || { openedAt: null, closedAt: null };
+    const wasClosed = !!previous.openedAt && Sequence.isActivityClosed(previous, now);
+    const isClosed = !!entry.openedAt && Sequence.isActivityClosed(entry, now);
+
+    if (!previous.openedAt && entry.openedAt) {
+      emitActivityOpened(io, sequence.id, entry);
+    } else if (wasClosed && !isClosed) {
+      emitActivityOpened(io, sequence.id, entry, true);
+    }
+
+    if (!wasClosed && isClosed) {
+      emitActivityClosed(io, sequence.id, entry);
+    }
+  }
+}
+
+module.exports = {
+  SEQUENCE_EVENTS,
+  sequenceRoom,
+  emitToSequence,
+  emitSequenceUpdated,
+  emitActivityOpened,
+  emitActivityClosed,
+  emitSequenceCompleted,
+  emitMemberJoined,
+  emitMemberLeft,
+  snapshotProgression,
+  emitProgressionChanges
+};
@@ -0,0 +1,126 @@
+const Activity = require('../models/Activity');
+const Sequence = require('../models/Sequence');
+const {
+  emitActivityOpened,
+  emitActivityClosed,
+  emitSequenceCompleted
+} = require('./sequenceEvents');
+const { notifyStatusChanged } = require('./revealPolicy');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Background engine that moves active sequences forward:
+// - marks activities whose closedAt has passed as completed
+// - opens activities once all of their parents are closed
+// - completes the sequence once every activity is closed
+//
+// All state lives in MongoDB and every transition is a conditional update,
+// so ticks are idempotent, survive restarts and can run on several instances.
+// Socket events go to the sequence room and the affected activity rooms,
+// and are only emitted by the instance whose update won.
+function createSequenceScheduler(io, options = {}) {
+  const intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+  const isReady = options.isReady || (() => true);
+  let timer = null;
+  let running = false;
+
+  // Mark Activity documents completed for sequence activities that have closed
+  async function closeExpiredActivities(sequence, now) {
+    const closedIds = sequence.activities
+      .filter(entry => entry.openedAt && Sequence.isActivityClosed(entry, now))
+      .map(entry => entry.activityId);
+    if (closedIds.length === 0) return;
+
+    const stillActive = await Activity.find({ id: { $in: closedIds }, status: 'active' }).select('id');
+    for (const { id: activityId } of stillActive) {
+      const closed = await Activity.findOneAndUpdate(
+        { id: activityId, status: 'active' },
+        { status: 'completed' },
+        { projection: { id: 1, revealPolicy: 1 } }
+      );
+      if (closed) {
+        const entry = sequence.activities.find(a => a.activityId === activityId);
+        console.log(`⏰ Closed activity ${activityId} in sequence ${sequence.id}`);
+        emitActivityClosed(io, sequence.id, entry);
+        await notifyStatusChanged(io, closed);
+      }
+    }
+  }
+
+  // Open unopened activities whose parents have all closed
+  async function openReadyActivities(sequence, now) {
+    for (const entry of sequence.activities) {
+      if (Sequence.getActivityState(sequence.activities, entry, now) !== 'ready') continue;
+
+      // Root activities are opened when the sequence starts
+      if (Sequence.getParentIds(sequence.activities, entry).length === 0) continue;
+
+      const closedAt = Sequence.getScheduledCloseDate(entry, now);
+      const result = await Sequence.updateOne(
+        { id: sequence.id, activities: { $elemMatch: { activityId: entry.activityId, openedAt: null } } },
+        { $set: { 'activities.$.openedAt': now, 'activities.$.closedAt': closedAt } }
+      );
+
+      if (result.modifiedCount > 0) {
+        entry.openedAt = now;
+        entry.closedAt = closedAt;
+        console.log(`⏰ Opened activity ${entry.activityId} in sequence ${sequence.id}`);
+        emitActivityOpened(io, sequence.id, entry);
+      }
+    }
+  }
+
+  // Complete the sequence once every activity has closed
+  async function completeFinishedSequence(sequence, now) {
+    if (sequence.activities.length === 0) return;
+    if (!sequence.activities.every(entry => Sequence.isActivityClosed(entry, now))) return;
+
+    const result = await Sequence.updateOne(
+      { id: sequence.id, status: 'active' },
+      { status: 'completed', completedAt: now }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`⏰ Completed sequence ${sequence.id}`);
+      emitSequenceCompleted(io, sequence, now);
+    }
+  }
+
+  async function tick(now = new Date()) {
+    if (running || !isReady()) return;
+    running = true;
+
+    try {
+      const sequences = await Sequence.find({ status: 'active' }).select('id activities status').lean();
+      for (const sequence of sequences) {
+        try {
+          await closeExpiredActivities(sequence, now);
+          await openReadyActivities(sequence, now);
+          await completeFinishedSequence(sequence, now);
+        } catch (error) {
+          console.error(`❌ Scheduler failed for sequence ${sequence.id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Sequence scheduler tick failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    tick,
+    start() {
+      if (timer) return;
+      console.log(`⏰ Sequence scheduler running every ${Math.round(intervalMs / 1000)}s`);
+      tick();
+      timer = setInterval(tick, intervalMs);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = createSequenceScheduler;
@@ -0,0 +1,30 @@
+const { ServiceError } = require('./errors');
+
+// Wrap a socket event handler so clients can pass an ack callback.
+// The handler returns its result or throws; the ack receives
+// { ok: true, data } or { ok: false, error: { code, message } }.
+// Clients that don't pass a callback are unaffected.
+function withAck(eventName, handler) {
+  return async (payload, ack) => {
+    if (typeof payload === 'function') {
+      ack = payload;
+      payload = undefined;
+    }
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const data = await handler(payload || {});
+      respond({ ok: true, data: data === undefined ? null : data });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return respond({ ok: false, error: { code: error.code, message: error.message } });
+      }
+      console.error(`❌ Error in ${eventName}: ${error.message}`);
+      respond({ ok: false, error: { code: 'internal_error', message: 'Something went wrong. Please try again.' } });
+    }
+  };
+}
+
+module.exports = {
+  withAck
+};
@@ -0,0 +1,153 @@
+const Sequence = require('../models/Sequence');
+const { ServiceError } = require('./errors');
+const { round4, mean } = require('./analyticsMath');
+
+const DEFAULT_GRID_SIZE = 10;
+const MAX_GRID_SIZE = 50;
+
+// Statistics for a set of ratings on the 0-1 map:
+// centroid, population standard deviation per axis, Pearson x/y correlation
+// (null when it is undefined), quadrant counts split at 0.5, and a density
+// grid of gridSize x gridSize counts where cells[row][column] is y by x.
+function computeSpatialStats(ratings, gridSize = DEFAULT_GRID_SIZE) {
+  const count = ratings.length;
+  const cells = Array.from({ length: gridSize }, () => new Array(gridSize).fill(0));
+  const quadrants = { lowXLowY: 0, highXLowY: 0, lowXHighY: 0, highXHighY: 0 };
+
+  if (count === 0) {
+    return { count, centroid: null, stdDev: null, correlation: null, quadrants: withShares(quadrants, 0), density: { gridSize, cells } };
+  }
+
+  const xs = ratings.map(r => r.position.x);
+  const ys = ratings.map(r => r.position.y);
+  const { x: meanX, y: meanY } = mean(ratings.map(r => r.position));
+
+  let varX = 0;
+  let varY = 0;
+  let covariance = 0;
+  for (let i = 0; i < count; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    varX += dx * dx;
+    varY += dy * dy;
+    covariance += dx * dy;
+
+    const key = `${xs[i] >= 0.5 ? 'high' : 'low'}X${ys[i] >= 0.5 ? 'High' : 'Low'}Y`;
+    quadrants[key]++;
+
+    // 1.0 falls in the last cell
+    const column = Math.min(gridSize - 1, Math.floor(xs[i] * gridSize));
+    const row = Math.min(gridSize - 1, Math.floor(ys[i] * gridSize));
+    cells[row][column]++;
+  }
+
+  return {
+    count,
+    centroid: { x: round4(meanX), y: round4(meanY) },
+    stdDev: { x: round4(Math.sqrt(varX / count)), y: round4(Math.sqrt(varY / count)) },
+    correlation: varX > 0 && varY > 0 ? round4(covariance / Math.sqrt(varX * varY)) : null,
+    quadrants: withShares(quadrants, count),
+    density: { gridSize, cells }
+  };
+}
+
+function withShares(quadrants, count) {
+  return Object.fromEntries(Object.entries(quadrants).map(([key, value]) => [
+    key,
+    { count: value, share: count ? round4(value / count) : 0 }
+  ]));
+}
+
+// Read filters from a query string:
+// ?slotNumber=, ?questionId=, ?round= (number or 'all', default the current round),
+// ?sequenceId= (only that sequence's members), ?userIds=a,b and ?gridSize=
+function parseSpatialQuery(query = {}) {
+  const filters = {
+    slotNumber: null,
+    questionId: query.questionId || null,
+    round: null,
+    allRounds: query.round === 'all',
+    sequenceId: query.sequenceId || null,
+    userIds: query.userIds ? String(query.userIds).split(',').map(id => id.trim()).filter(Boolean) : null,
+    gridSize: DEFAULT_GRID_SIZE
+  };
+
+  if (query.slotNumber !== undefined) {
+    filters.slotNumber = Number(query.slotNumber);
+    if (!Number.isInteger(filters.slotNumber) || filters.slotNumber < 1) {
+      throw new ServiceError('invalid_filter', 'slotNumber must be a positive integer');
+    }
+  }
+
+  if (query.round !== undefined && !filters.allRounds) {
+    filters.round = Number(query.round);
+    if (!Number.isInteger(filters.round) || filters.round < 1) {
+      throw new ServiceError('invalid_filter', "round must be a positive integer or 'all'");
+    }
+  }
+
+  if (query.gridSize !== undefined) {
+    filters.gridSize = Number(query.gridSize);
+    if (!Number.isInteger(filters.gridSize) || filters.gridSize < 1 || filters.gridSize > MAX_GRID_SIZE) {
+      throw new ServiceError('invalid_filter', `gridSize must be between 1 and ${MAX_GRID_SIZE}`);
+    }
+  }
+
+  return filters;
+}
+
+// Group stats by a key, in ascending key order
+function groupStats(ratings, keyOf, name, gridSize) {
+  const groups = new Map();
+  for (const rating of ratings) {
+    const key = keyOf(rating);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(rating);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a > b ? 1 : a < b ? -1 : 0))
+    .map(([key, group]) => ({ [name]: key, ...computeSpatialStats(group, gridSize) }));
+}
+
+// { filters, overall, bySlot, byQuestion } for an activity's ratings.
+// byQuestion only lists snapshot questions (ratings with a questionId).
+async function buildSpatialAnalytics(activity, filters = parseSpatialQuery()) {
+  const round = filters.allRounds ? null : (filters.round || activity.currentRound || 1);
+
+  let memberIds = null;
+  if (filters.sequenceId) {
+    const sequence = await Sequence.findOne({ id: filters.sequenceId }).select('id activities.activityId members.userId').lean();
+    if (!sequence || !sequence.activities.some(a => a.activityId === activity.id)) {
+      throw new ServiceError('not_found', 'Sequence not found for this activity', 404);
+    }
+    memberIds = new Set(sequence.members.map(m => m.userId).filter(Boolean));
+  }
+
+  const ratings = (activity.ratings || []).filter(r =>
+    (round === null || (r.round || 1) === round) &&
+    (filters.slotNumber === null || (r.slotNumber || 1) === filters.slotNumber) &&
+    (filters.questionId === null || (r.questionId || null) === filters.questionId) &&
+    (!memberIds || memberIds.has(r.userId)) &&
+    (!filters.userIds || filters.userIds.includes(r.userId))
+  );
+
+  return {
+    filters: {
+      slotNumber: filters.slotNumber,
+      questionId: filters.questionId,
+      round: round === null ? 'all' : round,
+      sequenceId: filters.sequenceId,
+      userIds: filters.userIds
+    },
+    overall: computeSpatialStats(ratings, filters.gridSize),
+    bySlot: groupStats(ratings, r => r.slotNumber || 1, 'slotNumber', filters.gridSize),
+    byQuestion: groupStats(ratings.filter(r => r.questionId), r => r.questionId, 'questionId', filters.gridSize)
+  };
+}
+
+module.exports = {
+  computeSpatialStats,
+  parseSpatialQuery,
+  buildSpatialAnalytics
+};
@@ -0,0 +1,194 @@
+const Activity = require('../models/Activity');
+const { broadcastToActivity } = require('./activityEvents');
+const { ServiceError } = require('./errors');
+const { isSubmissionLocked } = require('./liveSession');
+const { canSeeOthers, notifyVisibilityChanged } = require('./revealPolicy');
+const { moderateText } = require('./moderation');
+
+const MAX_COMMENT_LENGTH = 500;
+
+// Rejected submission; REST routes and socket handlers report the same codes
+class SubmissionError extends ServiceError {
+  constructor(code, message, status = 400) {
+    super(code, message, status);
+    this.name = 'SubmissionError';
+  }
+}
+
+// Solo Tracker Mode: maxEntries === 0 means unlimited entries but creator-only
+const isSoloTrackerMode = (activity) => activity.maxEntries === 0;
+
+const isActivityCreator = (activity, userId) => {
+  return !!activity.author?.userId && activity.author.userId === userId;
+};
+
+const matchesSlot = (entry, userId, slotNumber, questionId, round) => {
+  return entry.userId === userId &&
+    entry.slotNumber === slotNumber &&
+    (entry.questionId || null) === questionId &&
+    (entry.round || 1) === round;
+};
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+// Comment and reply text; codes are invalid_<type> and <type>_too_long
+function validateText(text, type) {
+  if (!text || typeof text !== 'string') {
+    throw new SubmissionError(`invalid_${type}`, `${capitalize(type)} text is required`);
+  }
+
+  if (text.trim().length === 0) {
+    throw new SubmissionError(`invalid_${type}`, `${capitalize(type)} text cannot be empty`);
+  }
+
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw new SubmissionError(`${type}_too_long`, `${capitalize(type)} must be less than ${MAX_COMMENT_LENGTH} characters`);
+  }
+}
+
+// Run moderation hooks; returns the text to save
+async function applyModeration(activity, userId, text, type) {
+  const result = await moderateText({ activity, userId, text, type });
+  if (!result.allowed) {
+    throw new SubmissionError('moderation_rejected', result.reason);
+  }
+  validateText(result.text, type);
+  return result.text.trim();
+}
+
+function validateSlotNumber(slotNumber) {
+  if (slotNumber < 1 || !Number.isInteger(slotNumber)) {
+    throw new SubmissionError('invalid_slot', 'Slot number must be a positive integer');
+  }
+}
+
+// Load the activity and check the rules shared by ratings, comments and replies.
+// Replies pass slotNumber null since they don't use a slot.
+async function loadActivityForSubmission(activityId, userId, slotNumber) {
+  const activity = await Activity.findOne({ id: activityId });
+
+  if (!activity) {
+    throw new SubmissionError('activity_not_found', 'Activity not found', 404);
+  }
+
+  if (activity.status !== 'active') {
+    throw new SubmissionError('activity_inactive', 'Activity is not active');
+  }
+
+  if (isSubmissionLocked(activity)) {
+    throw new SubmissionError('submissions_locked', 'Submissions are locked by the facilitator', 403);
+  }
+
+  if (isSoloTrackerMode(activity)) {
+    if (!isActivityCreator(activity, userId)) {
+      throw new SubmissionError('creator_only', 'Only the creator can add entries to this activity', 403);
+    }
+    // No slot limit for unlimited mode - any positive integer is valid
+  } else if (slotNumber !== null && activity.activityType !== 'snapshot') {
+    // Standard mode: Validate slot number against activity's maxEntries
+    // Snapshot uses slotNumber to distinguish questions, not extra entries per user
+    if (slotNumber > (activity.maxEntries || 1)) {
+      throw new SubmissionError('slot_limit', `This activity only allows ${activity.maxEntries || 1} entry slot(s)`);
+    }
+  }
+
+  const participant = activity.participants.find(p => p.id === userId);
+  if (!participant) {
+    throw new SubmissionError('not_participant', 'User is not a participant in this activity');
+  }
+
+  return { activity, participant };
+}
+
+// Save a rating and broadcast it (plus the slot's comment, whose objectName follows the rating).
+// Used by both the REST route and the socket handler.
+async function submitRating(io, { activityId, userId, position, objectName, slotNumber, questionId }) {
+  const slot = slotNumber ?? 1;
+  const question = questionId || null;
+
+  if (!position || typeof position.x !== 'number' || typeof position.y !== 'number') {
+    throw new SubmissionError('invalid_position', 'A valid position is required');
+  }
+
+  if (position.x < 0 || position.x > 1 || position.y < 0 || position.y > 1) {
+    throw new SubmissionError('invalid_position', 'Position coordinates must be between 0 and 1');
+  }
+
+  validateSlotNumber(slot);
+
+  const { activity, participant } = await loadActivityForSubmission(activityId, userId, slot);
+  const firstRating = !activity.ratings.some(r => r.userId === userId);
+  const updatedActivity = await activity.addRating(userId, participant.username, position, objectName, slot, question);
+
+  const round = updatedActivity.currentRound || 1;
+  const rating = updatedActivity.ratings.find(r => matchesSlot(r, userId, slot, question, round));
+  const comment = updatedActivity.comments.find(c => matchesSlot(c, userId, slot, question, round));
+
+  if (rating) {
+    await broadcastToActivity(io, activityId, 'rating_added', { rating });
+    if (comment) {
+      await broadcastToActivity(io, activityId, 'comment_updated', { comment });
+    }
+  }
+
+  // With after_submit, placing yourself unlocks everyone else's entries
+  if (rating && firstRating && activity.revealPolicy === 'after_submit') {
+    await notifyVisibilityChanged(io, activityId, userId);
+  }
+
+  return { rating, comment: comment || null };
+}
+
+// Save or edit a comment and broadcast it. Used by both the REST route and the socket handler.
+async function submitComment(io, { activityId, userId, text, objectName, slotNumber, questionId }) {
+  const slot = slotNumber ?? 1;
+  const question = questionId || null;
+
+  validateText(text, 'comment');
+  validateSlotNumber(slot);
+
+  const { activity, participant } = await loadActivityForSubmission(activityId, userId, slot);
+  const moderatedText = await applyModeration(activity, userId, text.trim(), 'comment');
+  const round = activity.currentRound || 1;
+  const isEdit = activity.comments.some(c => matchesSlot(c, userId, slot, question, round));
+  await activity.addComment(userId, participant.username, moderatedText, objectName || participant.objectName, slot, question);
+
+  const comment = activity.comments.find(c => matchesSlot(c, userId, slot, question, round));
+  if (comment) {
+    // Edits keep the comment's ID, so clients update it in place
+    await broadcastToActivity(io, activityId, isEdit ? 'comment_updated' : 'comment_added', { comment });
+  }
+
+  return { comment };
+}
+
+// Save a reply to a comment and broadcast reply_added. Participants can only
+// reply to comments the reveal policy lets them see.
+async function submitReply(io, { activityId, commentId, user, text }) {
+  validateText(text, 'reply');
+
+  const userId = user.id;
+  const { activity, participant } = await loadActivityForSubmission(activityId, userId, null);
+
+  // Pass the full user so admins and facilitators get their role's visibility
+  const comment = activity.comments.find(c => c.id === commentId);
+  if (!comment || (comment.userId !== userId && !(await canSeeOthers(activity, user)))) {
+    throw new SubmissionError('comment_not_found', 'Comment not found', 404);
+  }
+
+  const moderatedText = await applyModeration(activity, userId, text.trim(), 'reply');
+  await activity.addReply(commentId, userId, participant.username, moderatedText);
+
+  const replies = activity.comments.find(c => c.id === commentId).replies;
+  const reply = replies[replies.length - 1];
+  await broadcastToActivity(io, activityId, 'reply_added', { commentId, commentUserId: comment.userId, reply });
+
+  return { commentId, reply };
+}
+
+module.exports = {
+  SubmissionError,
+  submitRating,
+  submitComment,
+  submitReply
+};
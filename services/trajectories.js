@@ -0,0 +1,69 @@
+// Trajectories: how each participant's placement moved over a session,
+// built from Activity.ratingHistory.
+
+const { round4, distance } = require('./analyticsMath');
+
+const trajectoryKey = (entry) => `${entry.userId}|${entry.slotNumber || 1}|${entry.questionId || ''}`;
+
+// One trajectory per user/slot/question, points oldest first.
+// Ratings placed before history was recorded start with their current position.
+// Filters: userId, slotNumber, questionId.
+function buildTrajectories(activity, { userId = null, slotNumber = null, questionId = null } = {}) {
+  const matches = (entry) => (!userId || entry.userId === userId) &&
+    (slotNumber === null || (entry.slotNumber || 1) === slotNumber) &&
+    (questionId === null || (entry.questionId || null) === questionId);
+
+  const trajectories = new Map();
+  const add = (entry) => {
+    const key = trajectoryKey(entry);
+    if (!trajectories.has(key)) {
+      trajectories.set(key, {
+        userId: entry.userId,
+        username: entry.username,
+        slotNumber: entry.slotNumber || 1,
+        questionId: entry.questionId || null,
+        points: []
+      });
+    }
+    const trajectory = trajectories.get(key);
+    trajectory.username = entry.username;
+    trajectory.objectName = entry.objectName || '';
+    trajectory.points.push({
+      x: entry.position.x,
+      y: entry.position.y,
+      round: entry.round || 1,
+      timestamp: entry.timestamp
+    });
+  };
+
+  const history = (activity.ratingHistory || []).filter(matches);
+  const recorded = new Set(history.map(trajectoryKey));
+  for (const rating of activity.ratings || []) {
+    if (matches(rating) && !recorded.has(trajectoryKey(rating))) add(rating);
+  }
+  [...history]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(add);
+
+  return [...trajectories.values()].map(trajectory => {
+    const { points } = trajectory;
+    const first = points[0];
+    const last = points[points.length - 1];
+    let pathLength = 0;
+    for (let i = 1; i < points.length; i++) {
+      pathLength += distance(points[i - 1], points[i]);
+    }
+
+    return {
+      ...trajectory,
+      moves: points.length - 1,
+      // Straight-line shift from the first placement to the latest one
+      displacement: { x: round4(last.x - first.x), y: round4(last.y - first.y), distance: round4(distance(first, last)) },
+      pathLength: round4(pathLength)
+    };
+  });
+}
+
+module.exports = {
+  buildTrajectories
+};
@@ -0,0 +1,88 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Sequence = require('../models/Sequence');
+const { checkActivityAccess, checkSequenceAccess } = require('../services/activityAccess');
+
+const user = { id: 'u1', role: 'user' };
+const activity = { id: 'a1', isDraft: false };
+
+const sequences = [
+  {
+    id: 'invite-only',
+    requireInvitation: true,
+    activities: [{ activityId: 'a1' }],
+    members: [{ userId: 'member', username: 'Member Name' }]
+  },
+  {
+    id: 'open',
+    requireInvitation: false,
+    activities: [{ activityId: 'a1' }],
+    members: [{ userId: 'u1', username: 'Open Name' }]
+  },
+  {
+    id: 'unrelated',
+    requireInvitation: false,
+    activities: [{ activityId: 'other' }],
+    members: [{ userId: 'u1', username: 'Unrelated Name' }]
+  }
+];
+
+const matches = (sequence, query) =>
+  (query.id === undefined || sequence.id === query.id) &&
+  (query.requireInvitation === undefined || sequence.requireInvitation === query.requireInvitation) &&
+  (query['activities.activityId'] === undefined ||
+    sequence.activities.some(a => a.activityId === query['activities.activityId']));
+
+beforeEach(() => {
+  // No facilitator role on the activity
+  mock.method(Sequence, 'exists', async () => null);
+  mock.method(Sequence, 'find', async (query) => sequences.filter(s => matches(s, query)));
+  mock.method(Sequence, 'findOne', async (query) => sequences.find(s => matches(s, query)) || null);
+});
+
+afterEach(() => mock.restoreAll());
+
+test('non-members of an invitation-only sequence are refused', async () => {
+  const access = await checkActivityAccess(activity, user);
+  assert.equal(access.allowed, false);
+  assert.equal(access.reason, 'not_enrolled');
+});
+
+test('naming another sequence does not skip the invitation check', async () => {
+  for (const sequenceId of ['open', 'unrelated', 'missing']) {
+    const access = await checkActivityAccess(activity, user, sequenceId);
+    assert.equal(access.allowed, false, sequenceId);
+  }
+});
+
+test('members are allowed with their sequence display name', async () => {
+  const access = await checkActivityAccess(activity, { id: 'member' });
+  assert.deepEqual(access, { allowed: true, username: 'Member Name' });
+});
+
+test('sequenceId only sets the display name when that sequence contains the activity', async () => {
+  const open = { id: 'a2', isDraft: false };
+  sequences.push({ id: 'open-a2', requireInvitation: false, activities: [{ activityId: 'a2' }], members: [{ userId: 'u1', username: 'A2 Name' }] });
+
+  assert.deepEqual(await checkActivityAccess(open, user, 'open-a2'), { allowed: true, username: 'A2 Name' });
+  assert.deepEqual(await checkActivityAccess(open, user, 'unrelated'), { allowed: true, username: null });
+  sequences.pop();
+});
+
+test('facilitators can join without enrollment', async () => {
+  Sequence.exists.mock.mockImplementation(async () => ({ _id: 'x' }));
+  const access = await checkActivityAccess(activity, user);
+  assert.equal(access.allowed, true);
+});
+
+test('drafts are hidden from users without a role', async () => {
+  const access = await checkActivityAccess({ id: 'a3', isDraft: true }, user);
+  assert.equal(access.reason, 'draft');
+});
+
+test('sequence rooms are limited to members and facilitators', () => {
+  const sequence = { createdBy: 'owner', facilitators: [], members: [{ userId: 'u1' }] };
+  assert.equal(checkSequenceAccess(sequence, user).allowed, true);
+  assert.equal(checkSequenceAccess(sequence, { id: 'owner' }).allowed, true);
+  assert.equal(checkSequenceAccess(sequence, { id: 'stranger' }).allowed, false);
+});
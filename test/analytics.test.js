@@ -0,0 +1,124 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Activity = require('../models/Activity');
+const Sequence = require('../models/Sequence');
+const createActivityRoutes = require('../routes/activities');
+const createAnalyticsRoutes = require('../routes/analytics');
+const { ServiceError } = require('../services/errors');
+const { computeSpatialStats, parseSpatialQuery } = require('../services/spatialStats');
+const { buildTrajectories } = require('../services/trajectories');
+const { buildRoundStats } = require('../services/roundAnalytics');
+const { callRoute } = require('./helpers/routes');
+
+const at = (minute) => new Date(Date.UTC(2026, 9, 1, 12, minute));
+
+afterEach(() => mock.restoreAll());
+
+test('trajectories follow each placement in time order', () => {
+  const activity = {
+    ratings: [{ userId: 'u1', username: 'Ann', position: { x: 0.3, y: 0.4 } }],
+    ratingHistory: [
+      { userId: 'u1', username: 'Ann', position: { x: 0.3, y: 0.4 }, timestamp: at(2) },
+      { userId: 'u1', username: 'Ann', position: { x: 0, y: 0 }, timestamp: at(0) },
+      { userId: 'u1', username: 'Ann', position: { x: 0, y: 0.4 }, timestamp: at(1) }
+    ]
+  };
+
+  const [trajectory] = buildTrajectories(activity);
+
+  assert.deepEqual(trajectory.points.map(p => [p.x, p.y]), [[0, 0], [0, 0.4], [0.3, 0.4]]);
+  assert.equal(trajectory.moves, 2);
+  assert.equal(trajectory.pathLength, 0.7);
+  assert.deepEqual(trajectory.displacement, { x: 0.3, y: 0.4, distance: 0.5 });
+});
+
+test('ratings without history start a single-point trajectory', () => {
+  const activity = {
+    ratings: [
+      { userId: 'u1', position: { x: 0.1, y: 0.1 } },
+      { userId: 'u2', position: { x: 0.9, y: 0.9 } }
+    ]
+  };
+
+  const trajectories = buildTrajectories(activity, { userId: 'u2' });
+
+  assert.equal(trajectories.length, 1);
+  assert.equal(trajectories[0].moves, 0);
+  assert.deepEqual(trajectories[0].displacement, { x: 0, y: 0, distance: 0 });
+});
+
+test('round stats compare each round\'s centroid and participant movement', () => {
+  const activity = {
+    currentRound: 2,
+    rounds: [{ number: 2, label: 'Revisit', startedAt: at(10) }],
+    ratings: [
+      { userId: 'u1', round: 1, position: { x: 0, y: 0 } },
+      { userId: 'u2', round: 1, position: { x: 0.2, y: 0 } },
+      { userId: 'u1', round: 2, position: { x: 0.3, y: 0.4 } }
+    ],
+    comments: [{ userId: 'u1', round: 2 }]
+  };
+
+  const stats = buildRoundStats(activity);
+
+  assert.deepEqual(stats.rounds.map(r => [r.round, r.ratings, r.comments]), [[1, 2, 0], [2, 1, 1]]);
+  assert.deepEqual(stats.rounds[0].centroid, { x: 0.1, y: 0 });
+  assert.equal(stats.rounds[1].label, 'Revisit');
+  assert.deepEqual(stats.movement.map(m => [m.userId, m.from, m.to, m.distance]), [['u1', 1, 2, 0.5]]);
+  assert.equal(stats.transitions[0].participants, 1);
+  assert.equal(stats.transitions[0].averageDistance, 0.5);
+  assert.deepEqual(stats.transitions[0].centroidShift, { dx: 0.2, dy: 0.4, distance: 0.4472 });
+});
+
+test('an empty round has no centroid or shift', () => {
+  const stats = buildRoundStats({ currentRound: 2, ratings: [{ userId: 'u1', position: { x: 0.5, y: 0.5 } }] });
+  assert.equal(stats.rounds[1].centroid, null);
+  assert.equal(stats.transitions[0].centroidShift, null);
+  assert.equal(stats.transitions[0].averageDistance, null);
+});
+
+test('spatial stats summarize positions on the map', () => {
+  const ratings = [{ x: 0, y: 0 }, { x: 0.5, y: 0.5 }, { x: 1, y: 1 }].map(position => ({ position }));
+
+  const stats = computeSpatialStats(ratings, 2);
+
+  assert.deepEqual(stats.centroid, { x: 0.5, y: 0.5 });
+  assert.deepEqual(stats.stdDev, { x: 0.4082, y: 0.4082 });
+  assert.equal(stats.correlation, 1);
+  assert.deepEqual(stats.quadrants.highXHighY, { count: 2, share: 0.6667 });
+  assert.deepEqual(stats.density.cells, [[1, 0], [0, 2]]);
+  assert.equal(computeSpatialStats([ratings[0]]).correlation, null);
+});
+
+test('spatial filters reject invalid values', () => {
+  assert.equal(parseSpatialQuery({ round: 'all' }).allRounds, true);
+  for (const query of [{ slotNumber: '0' }, { round: 'last' }, { gridSize: '51' }]) {
+    assert.throws(() => parseSpatialQuery(query), (error) => error instanceof ServiceError && error.code === 'invalid_filter');
+  }
+});
+
+test('both analytics endpoints serve the same reveal-filtered stats', async () => {
+  const data = {
+    id: 'a1',
+    author: { userId: 'owner' },
+    revealPolicy: 'on_close',
+    status: 'active',
+    participants: [{ id: 'u1' }, { id: 'u2' }],
+    ratings: [
+      { userId: 'u1', position: { x: 0.2, y: 0.2 } },
+      { userId: 'u2', position: { x: 0.8, y: 0.8 } }
+    ],
+    comments: []
+  };
+  const activity = { ...data, toObject: () => ({ ...data }) };
+  mock.method(Activity, 'findOne', async () => activity);
+  mock.method(Activity, 'findById', async () => activity);
+  mock.method(Sequence, 'exists', async () => null);
+
+  const fromActivities = await callRoute(createActivityRoutes(null), 'get', '/:id/analytics', { params: { id: 'a1' } });
+  const fromAnalytics = await callRoute(createAnalyticsRoutes(), 'get', '/stats/:activityId', { params: { activityId: 'a1' } });
+
+  assert.deepEqual(fromActivities.body, fromAnalytics.body);
+  assert.equal(fromActivities.body.completedMappings, 2);
+  assert.equal(fromActivities.body.spatial.overall.count, 0);
+});
@@ -0,0 +1,76 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const authenticate = require('../middleware/authenticate');
+const { issueTokens, verifyAccessToken, verifyRefreshToken } = require('../services/authTokens');
+
+const mockRes = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+afterEach(() => mock.restoreAll());
+
+test('issued tokens verify as their own type only', () => {
+  const { accessToken, refreshToken, expiresIn } = issueTokens({ id: 'u1', role: 'user', tokenVersion: 3 });
+
+  assert.equal(verifyAccessToken(accessToken).sub, 'u1');
+  assert.equal(verifyRefreshToken(refreshToken).ver, 3);
+  assert.ok(expiresIn > 0);
+  assert.throws(() => verifyAccessToken(refreshToken), /Invalid token type/);
+  assert.throws(() => verifyRefreshToken(accessToken), /Invalid token type/);
+});
+
+test('tokens signed with another secret or expired are rejected', () => {
+  const forged = jwt.sign({ sub: 'u1', type: 'access' }, 'other-secret');
+  const expired = jwt.sign({ sub: 'u1', type: 'access', exp: Math.floor(Date.now() / 1000) - 10 }, 'test-secret');
+
+  assert.throws(() => verifyAccessToken(forged));
+  assert.throws(() => verifyAccessToken(expired));
+});
+
+test('authenticate requires a bearer token', async () => {
+  const res = mockRes();
+  let called = false;
+  await authenticate({ headers: {} }, res, () => { called = true; });
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(called, false);
+});
+
+test('authenticate sets req.user for a valid token of an active user', async () => {
+  const user = { id: 'u1', role: 'user', isActive: true };
+  mock.method(User, 'findOne', async () => user);
+  const { accessToken } = issueTokens(user);
+
+  const req = { headers: { authorization: `Bearer ${accessToken}` } };
+  const res = mockRes();
+  let called = false;
+  await authenticate(req, res, () => { called = true; });
+
+  assert.equal(called, true);
+  assert.equal(req.user, user);
+});
+
+test('authenticate rejects tokens of deactivated users', async () => {
+  mock.method(User, 'findOne', async () => ({ id: 'u1', isActive: false }));
+  const { accessToken } = issueTokens({ id: 'u1', role: 'user' });
+
+  const res = mockRes();
+  await authenticate({ headers: { authorization: `Bearer ${accessToken}` } }, res, () => {});
+  assert.equal(res.statusCode, 401);
+});
+
+test('optional authentication ignores invalid tokens', async () => {
+  const req = { headers: { authorization: 'Bearer not-a-token' } };
+  let called = false;
+  await authenticate.optional(req, mockRes(), () => { called = true; });
+
+  assert.equal(called, true);
+  assert.equal(req.user, undefined);
+});
@@ -0,0 +1,84 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Activity = require('../models/Activity');
+const { ServiceError } = require('../services/errors');
+const createActivityRoutes = require('../routes/activities');
+const { kMeans, dbscan, parseClusterQuery, getClusters } = require('../services/clustering');
+const { callRoute, authenticateAs } = require('./helpers/routes');
+
+// Two tight groups around (0.1, 0.1) and (0.9, 0.9), plus one outlier
+const points = [
+  { x: 0.1, y: 0.1 }, { x: 0.12, y: 0.1 }, { x: 0.1, y: 0.12 },
+  { x: 0.9, y: 0.9 }, { x: 0.88, y: 0.9 }, { x: 0.9, y: 0.88 },
+  { x: 0.5, y: 0.1 }
+];
+
+const ratingsAt = (positions) => positions.map((position, i) => ({ userId: `u${i}`, username: `User ${i}`, position }));
+
+afterEach(() => mock.restoreAll());
+
+test('k-means separates groups and gives the same labels every time', () => {
+  const labels = kMeans(points.slice(0, 6), 2);
+
+  assert.equal(new Set(labels.slice(0, 3)).size, 1);
+  assert.equal(new Set(labels.slice(3, 6)).size, 1);
+  assert.notEqual(labels[0], labels[3]);
+  assert.deepEqual(kMeans(points.slice(0, 6), 2), labels);
+});
+
+test('DBSCAN marks points far from any cluster as noise', () => {
+  const labels = dbscan(points, 0.05, 3);
+
+  assert.deepEqual(labels, [0, 0, 0, 1, 1, 1, -1]);
+});
+
+test('cluster options are validated', () => {
+  assert.deepEqual(
+    { ...parseClusterQuery({ method: 'dbscan', eps: '0.2', minPoints: '2' }) },
+    { method: 'dbscan', k: 3, eps: 0.2, minPoints: 2, slotNumber: null, questionId: null, round: null, allRounds: false }
+  );
+  for (const query of [{ method: 'hdbscan' }, { k: '0' }, { k: '21' }, { eps: '0' }, { eps: '2' }, { round: 'x' }]) {
+    assert.throws(() => parseClusterQuery(query), (error) => error instanceof ServiceError && error.code === 'invalid_filter');
+  }
+});
+
+test('clusters are cached until the sync version changes', () => {
+  const activity = { id: 'cached', syncVersion: 4, ratings: ratingsAt(points.slice(0, 6)) };
+  const options = parseClusterQuery({ k: '2' });
+
+  const first = getClusters(activity, options);
+  assert.equal(first.clusters.length, 2);
+  assert.equal(getClusters({ ...activity }, options), first);
+
+  const after = getClusters({ ...activity, syncVersion: 5, ratings: activity.ratings.slice(0, 3) }, options);
+  assert.notEqual(after, first);
+  assert.equal(after.clusters.reduce((total, c) => total + c.size, 0), 3);
+});
+
+test('syncing starter data bumps the sync version', async () => {
+  const activity = Activity.hydrate({
+    _id: '507f1f77bcf86cd799439011',
+    id: 'starter',
+    title: 'Starter',
+    urlName: 'starter',
+    mapQuestion: 'Where?',
+    commentQuestion: 'Why?',
+    xAxis: { label: 'X', min: 'Low', max: 'High' },
+    yAxis: { label: 'Y', min: 'Low', max: 'High' },
+    author: { userId: 'owner' },
+    participants: [{ id: 'starter_x_0', username: 'Example Data' }],
+    ratings: [{ id: 'r1', userId: 'starter_x_0', username: 'Example Data', position: { x: 0.5, y: 0.5 } }]
+  });
+  mock.method(Activity, 'findOne', async () => activity);
+  mock.method(Activity.collection, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+  const bumps = mock.method(Activity, 'findOneAndUpdate', () => ({ lean: async () => ({ syncVersion: 1, revealPolicy: 'immediate' }) }));
+
+  const res = await callRoute(createActivityRoutes(null), 'post', '/:id/sync-starter-data', {
+    params: { id: 'starter' },
+    headers: authenticateAs(mock, { id: 'owner', role: 'user' })
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(activity.ratings.length, 0);
+  assert.deepEqual(bumps.mock.calls[0].arguments[1], { $inc: { syncVersion: 1 } });
+});
@@ -0,0 +1,136 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const Activity = require('../models/Activity');
+const Sequence = require('../models/Sequence');
+const createActivityRoutes = require('../routes/activities');
+const { ServiceError } = require('../services/errors');
+const { parseExportQuery, buildActivityExport, buildSequenceExport, sendExport } = require('../services/dataExport');
+const { callRoute, authenticateAs } = require('./helpers/routes');
+
+const activity = {
+  id: 'a1',
+  urlName: 'climate',
+  title: 'Climate',
+  activityType: 'holoscope',
+  author: { userId: 'owner' },
+  xAxis: { label: 'Impact', min: 'Low', max: 'High' },
+  yAxis: { label: 'Effort', min: 'Low', max: 'High' },
+  participants: [{ id: 'alice', username: 'Alice' }, { id: 'bob', username: 'Bob' }],
+  ratings: [
+    { id: 'r1', userId: 'bob', username: 'Bob', position: { x: 0.25, y: 0.75 } },
+    { id: 'r2', userId: 'alice', username: 'Alice', position: { x: 0.5, y: 0.5 } }
+  ],
+  comments: [{
+    id: 'c1',
+    userId: 'alice',
+    username: 'Alice',
+    text: '=SUM(A1), "quoted"',
+    votes: [{ userId: 'bob', username: 'Bob' }],
+    replies: [{ id: 'c2', userId: 'bob', username: 'Bob', text: 'Agreed' }]
+  }],
+  emails: [{ userId: 'alice', email: 'alice@example.com' }]
+};
+
+// A response that collects what sendExport writes
+function mockRes() {
+  return {
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; }
+  };
+}
+
+const table = (data, name) => data.tables.find(t => t.name === name);
+
+afterEach(() => mock.restoreAll());
+
+test('export options are validated', () => {
+  assert.deepEqual(parseExportQuery(), { format: 'json', table: 'ratings', pseudonymize: false, includeEmails: false });
+  for (const query of [{ format: 'pdf' }, { table: 'secrets' }, { pseudonymize: 'true', includeEmails: 'true' }]) {
+    assert.throws(() => parseExportQuery(query), (error) => error instanceof ServiceError && error.code === 'invalid_export');
+  }
+});
+
+test('pseudonymized exports keep one pseudonym per person across tables', () => {
+  const data = buildActivityExport(activity, parseExportQuery({ pseudonymize: 'true' }));
+
+  assert.deepEqual(table(data, 'participants').rows.map(r => [r.userId, r.username]), [['P1', 'Participant 1'], ['P2', 'Participant 2']]);
+  assert.deepEqual(table(data, 'ratings').rows.map(r => r.userId), ['P2', 'P1']);
+  assert.deepEqual(table(data, 'comments').rows.map(r => [r.commentId, r.parentCommentId, r.userId]), [['c1', null, 'P1'], ['c2', 'c1', 'P2']]);
+  assert.deepEqual(table(data, 'votes').rows.map(r => [r.voterId, r.authorId]), [['P2', 'P1']]);
+  assert.ok(!JSON.stringify(data).includes('alice'));
+});
+
+test('emails are left out unless requested', () => {
+  assert.equal(table(buildActivityExport(activity, parseExportQuery()), 'emails'), undefined);
+
+  const data = buildActivityExport(activity, parseExportQuery({ includeEmails: 'true' }));
+  assert.deepEqual(table(data, 'emails').rows.map(r => r.email), ['alice@example.com']);
+});
+
+test('sequence exports list members and each activity in order', () => {
+  const sequence = {
+    id: 's1',
+    members: [{ userId: 'alice', username: 'Alice', email: 'alice@example.com' }],
+    activities: [{ activityId: 'a2', order: 1 }, { activityId: 'a1', order: 0 }]
+  };
+  const second = { ...activity, id: 'a2', participants: [], ratings: [], comments: [], emails: [] };
+
+  const data = buildSequenceExport(sequence, [second, activity], parseExportQuery());
+
+  assert.deepEqual(table(data, 'activities').rows.map(r => r.activityId), ['a1', 'a2']);
+  assert.ok(!table(data, 'members').columns.some(c => c.key === 'email'));
+});
+
+test('CSV exports one table and escapes cells', async () => {
+  const options = parseExportQuery({ format: 'csv', table: 'comments' });
+  const res = mockRes();
+
+  await sendExport(res, 'climate-export', buildActivityExport(activity, options), options);
+
+  assert.match(res.headers['Content-Disposition'], /climate-export-comments\.csv/);
+  assert.ok(res.body.includes('"\'=SUM(A1), ""quoted"""'));
+
+  const emailOptions = parseExportQuery({ format: 'csv', table: 'emails' });
+  await assert.rejects(
+    sendExport(mockRes(), 'climate-export', buildActivityExport(activity, emailOptions), emailOptions),
+    (error) => error.code === 'invalid_export' && /includeEmails/.test(error.message)
+  );
+});
+
+test('XLSX exports have a worksheet per table', async () => {
+  const options = parseExportQuery({ format: 'xlsx' });
+  const res = mockRes();
+
+  await sendExport(res, 'climate-export', buildActivityExport(activity, options), options);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(res.body);
+  assert.deepEqual(workbook.worksheets.map(s => s.name), ['activities', 'questions', 'participants', 'ratings', 'comments', 'votes']);
+  assert.equal(workbook.getWorksheet('ratings').rowCount, 3);
+});
+
+test('only owners and admins can export emails', async () => {
+  const doc = { ...activity, toObject: () => activity };
+  mock.method(Activity, 'findOne', async () => doc);
+  mock.method(Sequence, 'exists', async () => ({ _id: 's1' }));
+  const router = createActivityRoutes(null);
+
+  let res = await callRoute(router, 'get', '/:id/export', {
+    params: { id: 'a1' },
+    query: { includeEmails: 'true' },
+    headers: authenticateAs(mock, { id: 'cofacilitator', role: 'user' })
+  });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, 'forbidden');
+
+  res = await callRoute(router, 'get', '/:id/export', {
+    params: { id: 'a1' },
+    query: { includeEmails: 'true' },
+    headers: authenticateAs(mock, { id: 'owner', role: 'user' })
+  });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.tables.emails.map(r => r.email), ['alice@example.com']);
+});
@@ -0,0 +1,126 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+const EngagementRollup = require('../models/EngagementRollup');
+const { ServiceError } = require('../services/errors');
+const {
+  countActivityDays,
+  rollUp,
+  parseSeriesQuery,
+  getEngagementSeries
+} = require('../services/engagementMetrics');
+
+const day = (date, hour = 12) => new Date(`${date}T${String(hour).padStart(2, '0')}:00:00Z`);
+
+function stubRollUp(activities, { rolledUpIds = [], existingIds = [] } = {}) {
+  mock.method(Activity, 'find', () => ({
+    select() { return this; },
+    lean() { return this; },
+    cursor: async function* () { yield* activities; }
+  }));
+  mock.method(Activity, 'distinct', async () => existingIds);
+  mock.method(User, 'aggregate', async () => []);
+  return {
+    bulkWrite: mock.method(EngagementRollup, 'bulkWrite', async () => ({})),
+    distinct: mock.method(EngagementRollup, 'distinct', async () => rolledUpIds),
+    deleteMany: mock.method(EngagementRollup, 'deleteMany', async () => ({ deletedCount: 1 }))
+  };
+}
+
+afterEach(() => mock.restoreAll());
+
+test('activity entries are counted per UTC day within the range', () => {
+  const activity = {
+    ratingHistory: [
+      { ratingId: 'r1', userId: 'u1', timestamp: day('2026-10-01', 9) },
+      { ratingId: 'r1', userId: 'u1', timestamp: day('2026-10-02', 9) }
+    ],
+    // r2 predates history and counts once, on its own timestamp
+    ratings: [{ id: 'r1', userId: 'u1', timestamp: day('2026-10-02', 9) }, { id: 'r2', userId: 'u2', timestamp: day('2026-10-01') }],
+    comments: [{
+      userId: 'u2',
+      timestamp: day('2026-10-01'),
+      votes: [{ userId: 'u3', timestamp: day('2026-10-02') }],
+      replies: [{ userId: 'u1', timestamp: day('2026-10-03'), votes: [] }]
+    }]
+  };
+
+  const days = countActivityDays(activity, day('2026-10-01', 0), day('2026-10-03', 0));
+
+  const first = days.get(day('2026-10-01', 0).getTime());
+  assert.deepEqual([...first.activeUserIds].sort(), ['u1', 'u2']);
+  assert.deepEqual([first.ratings, first.comments, first.votes], [2, 1, 0]);
+  const second = days.get(day('2026-10-02', 0).getTime());
+  assert.deepEqual([second.ratings, second.comments, second.votes], [1, 0, 1]);
+  assert.equal(days.size, 2);
+});
+
+test('starter data is not counted as engagement', () => {
+  const activity = {
+    ratings: [
+      { id: 'r1', userId: 'starter_abc_0', timestamp: day('2026-10-01') },
+      { id: 'r2', userId: 'u1', timestamp: day('2026-10-01') }
+    ],
+    comments: [{ userId: 'starter_abc_0', timestamp: day('2026-10-01'), votes: [{ userId: 'u1', timestamp: day('2026-10-01') }] }]
+  };
+
+  const counts = countActivityDays(activity, day('2026-10-01', 0), day('2026-10-02', 0)).get(day('2026-10-01', 0).getTime());
+
+  assert.deepEqual([...counts.activeUserIds], ['u1']);
+  assert.deepEqual([counts.ratings, counts.comments, counts.votes], [1, 0, 1]);
+});
+
+test('rollUp writes one rollup per active day and removes days without entries', async () => {
+  const { bulkWrite } = stubRollUp([
+    { id: 'a1', activityType: 'holoscope', author: { userId: 'owner' }, ratings: [{ id: 'r1', userId: 'u1', timestamp: day('2026-10-01') }], comments: [] }
+  ]);
+
+  const result = await rollUp(day('2026-10-01', 5), day('2026-10-03', 0));
+
+  const [activityOperations] = bulkWrite.mock.calls[0].arguments;
+  assert.deepEqual(activityOperations[0].updateOne.filter, { date: day('2026-10-01', 0), activityId: 'a1' });
+  assert.equal(activityOperations[0].updateOne.update.$set.creatorId, 'owner');
+  assert.deepEqual(activityOperations[1].deleteMany.filter.date.$nin, [day('2026-10-01', 0)]);
+  assert.equal(bulkWrite.mock.calls[1].arguments[0].length, 2);
+  assert.deepEqual([result.activities, result.days, result.removedActivities], [1, 2, 0]);
+});
+
+test('rollUp removes the rollups of deleted activities', async () => {
+  const { deleteMany } = stubRollUp([], { rolledUpIds: ['kept', 'gone'], existingIds: ['kept'] });
+
+  const result = await rollUp(day('2026-10-01', 0), day('2026-10-02', 0));
+
+  assert.equal(result.removedActivities, 1);
+  assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { activityId: { $in: ['gone'] } });
+});
+
+test('series options are validated', () => {
+  const filters = parseSeriesQuery({ interval: 'week', from: '2026-09-01', to: '2026-10-01' });
+  assert.equal(filters.interval, 'week');
+
+  for (const query of [{ interval: 'month' }, { from: 'soon' }, { from: '2026-10-02', to: '2026-10-01' }, { from: '2020-01-01', to: '2026-01-01' }]) {
+    assert.throws(() => parseSeriesQuery(query), (error) => error instanceof ServiceError && error.code === 'invalid_filter');
+  }
+});
+
+test('weekly series count each active participant once per week', async () => {
+  mock.method(EngagementRollup, 'find', (match) => ({
+    select() { return this; },
+    lean: async () => (match.activityId === null
+      ? [{ date: day('2026-09-29', 0), newUsers: 2, computedAt: day('2026-10-05') }]
+      : [
+        { date: day('2026-09-28', 0), activeUserIds: ['u1', 'u2'], ratings: 3, comments: 1, votes: 0, computedAt: day('2026-10-05') },
+        { date: day('2026-09-30', 0), activeUserIds: ['u1'], ratings: 1, comments: 0, votes: 2, computedAt: day('2026-10-05', 13) }
+      ])
+  }));
+
+  const result = await getEngagementSeries(parseSeriesQuery({ interval: 'week', from: '2026-09-30', to: '2026-10-06' }));
+
+  assert.deepEqual(result.series.map(b => b.start), [day('2026-09-28', 0), day('2026-10-05', 0)]);
+  assert.deepEqual(
+    { ...result.series[0], start: undefined },
+    { start: undefined, newUsers: 2, activeParticipants: 2, ratings: 4, comments: 1, votes: 2 }
+  );
+  assert.deepEqual(result.updatedAt, day('2026-10-05', 13));
+});
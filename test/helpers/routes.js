@@ -0,0 +1,50 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../../models/User');
+const { issueTokens } = require('../../services/authTokens');
+
+// Run an Express route's handlers (middleware included) without a server.
+// Resolves with the mock response once a handler responds.
+
+function mockRes() {
+  let resolve;
+  const done = new Promise(r => { resolve = r; });
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    done,
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    json(body) { this.body = body; resolve(this); return this; },
+    send(body) { this.body = body; resolve(this); return this; }
+  };
+  return res;
+}
+
+async function callRoute(router, method, path, req = {}) {
+  const layer = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  if (!layer) throw new Error(`No route ${method.toUpperCase()} ${path}`);
+
+  const res = mockRes();
+  const fullReq = { params: {}, query: {}, body: {}, headers: {}, ...req };
+  const handlers = layer.route.stack.map(l => l.handle);
+
+  const run = async (index) => {
+    if (index >= handlers.length) return;
+    await handlers[index](fullReq, res, () => run(index + 1));
+  };
+  await Promise.race([run(0).then(() => res.done), res.done]);
+  return res;
+}
+
+// Request headers that authenticate as user (User.findOne is mocked to return it)
+function authenticateAs(mock, user) {
+  mock.method(User, 'findOne', async () => ({ isActive: true, ...user }));
+  return { authorization: `Bearer ${issueTokens(user).accessToken}` };
+}
+
+module.exports = {
+  callRoute,
+  authenticateAs
+};
@@ -0,0 +1,97 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Activity = require('../models/Activity');
+const Sequence = require('../models/Sequence');
+const { ServiceError } = require('../services/errors');
+const { advanceToNextActivity, isSubmissionLocked } = require('../services/liveSession');
+const { isRevealedToAll, canSeeOthers } = require('../services/revealPolicy');
+
+const hourAgo = () => new Date(Date.now() - 60 * 60 * 1000);
+const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+function mockIo() {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }),
+    in: () => ({ fetchSockets: async () => [] })
+  };
+}
+
+function stubSequence(activities) {
+  const sequence = new Sequence({ id: 's1', title: 'S', urlName: 's', createdBy: 'owner', status: 'active', activities });
+  mock.method(Sequence, 'findOne', async () => sequence);
+  mock.method(Sequence.prototype, 'save', async function() { return this; });
+  mock.method(Activity, 'findOneAndUpdate', async (query) => ({ id: query.id, revealPolicy: 'on_close' }));
+  mock.method(Activity, 'findOne', () => ({
+    select() { return this; },
+    lean: async () => ({ id: 'b', title: 'Next', urlName: 'next' })
+  }));
+  return sequence;
+}
+
+afterEach(() => mock.restoreAll());
+
+test('advancing closes an auto-close activity before its scheduled close', async () => {
+  const sequence = stubSequence([
+    { activityId: 'a', order: 0, autoClose: true, duration: 1, openedAt: hourAgo(), closedAt: tomorrow() },
+    { activityId: 'b', order: 1 }
+  ]);
+  const io = mockIo();
+
+  const result = await advanceToNextActivity(io, { id: 'owner' }, { activityId: 'a', sequenceId: 's1' });
+
+  assert.equal(result.nextActivityId, 'b');
+  assert.ok(sequence.activities[0].closedAt <= new Date());
+  assert.ok(sequence.activities[1].openedAt);
+  assert.ok(io.emitted.some(e => e.room === 'a' && e.event === 'session_advanced'));
+  assert.ok(io.emitted.some(e => e.room === 'b' && e.event === 'activity_opened'));
+  assert.ok(io.emitted.some(e => e.room === 'a' && e.event === 'visibility_changed'));
+});
+
+test('a failed close is reported as a service error', async () => {
+  stubSequence([
+    { activityId: 'a', order: 0, openedAt: hourAgo() },
+    { activityId: 'b', order: 1 }
+  ]);
+  Sequence.prototype.save.mock.mockImplementation(async () => { throw new Error('write conflict'); });
+
+  await assert.rejects(
+    advanceToNextActivity(mockIo(), { id: 'owner' }, { activityId: 'a', sequenceId: 's1' }),
+    (error) => error instanceof ServiceError && error.code === 'advance_failed'
+  );
+});
+
+test('advancing needs the open/close capability', async () => {
+  stubSequence([{ activityId: 'a', order: 0, openedAt: hourAgo() }, { activityId: 'b', order: 1 }]);
+  await assert.rejects(
+    advanceToNextActivity(mockIo(), { id: 'stranger' }, { activityId: 'a', sequenceId: 's1' }),
+    { code: 'forbidden' }
+  );
+});
+
+test('hiding entries applies under every reveal policy', async () => {
+  mock.method(Sequence, 'exists', async () => null);
+  const blind = { revealed: false };
+
+  for (const revealPolicy of ['immediate', 'after_submit', 'on_close']) {
+    const activity = { id: 'a', revealPolicy, status: 'completed', liveSession: blind, ratings: [{ userId: 'u1' }] };
+    assert.equal(isRevealedToAll(activity), false, revealPolicy);
+    assert.equal(await canSeeOthers(activity, { id: 'u1' }), false, revealPolicy);
+  }
+
+  assert.equal(isRevealedToAll({ revealPolicy: 'immediate', liveSession: { revealed: true } }), true);
+});
+
+test('facilitators still see entries while they are hidden', async () => {
+  const activity = { id: 'a', revealPolicy: 'immediate', author: { userId: 'owner' }, liveSession: { revealed: false } };
+  assert.equal(await canSeeOthers(activity, { id: 'owner' }), true);
+});
+
+test('a lock-on-end timer locks submissions once it runs out', () => {
+  const running = { liveSession: { timer: { lockOnEnd: true, endsAt: tomorrow() } } };
+  const ended = { liveSession: { timer: { lockOnEnd: true, endsAt: hourAgo() } } };
+  assert.equal(isSubmissionLocked(running), false);
+  assert.equal(isSubmissionLocked(ended), true);
+  assert.equal(isSubmissionLocked({ liveSession: { locked: true } }), true);
+});
@@ -0,0 +1,74 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Sequence = require('../models/Sequence');
+const Activity = require('../models/Activity');
+const { requireActivityRole } = require('../middleware/requireRole');
+const {
+  ROLES,
+  OWNER_ROLES,
+  CAPABILITIES,
+  getSequenceRole,
+  hasSequenceCapability,
+  getActivityRole
+} = require('../services/permissions');
+
+const sequence = {
+  createdBy: 'owner',
+  facilitators: [{ userId: 'cofac', capabilities: { [CAPABILITIES.MANAGE_MEMBERS]: true } }]
+};
+
+afterEach(() => mock.restoreAll());
+
+test('sequence roles come from the creator, admins and facilitators', () => {
+  assert.equal(getSequenceRole(sequence, { id: 'owner' }), ROLES.OWNER);
+  assert.equal(getSequenceRole(sequence, { id: 'x', role: 'admin' }), ROLES.ADMIN);
+  assert.equal(getSequenceRole(sequence, { id: 'cofac' }), ROLES.COFACILITATOR);
+  assert.equal(getSequenceRole(sequence, { id: 'x', role: 'user' }), null);
+  assert.equal(getSequenceRole(sequence, null), null);
+});
+
+test('co-facilitators only hold the capabilities they were granted', () => {
+  assert.equal(hasSequenceCapability(sequence, { id: 'cofac' }, CAPABILITIES.MANAGE_MEMBERS), true);
+  assert.equal(hasSequenceCapability(sequence, { id: 'cofac' }, CAPABILITIES.VIEW_EMAILS), false);
+  assert.equal(hasSequenceCapability(sequence, { id: 'owner' }, CAPABILITIES.VIEW_EMAILS), true);
+  assert.equal(hasSequenceCapability(sequence, { id: 'x' }, CAPABILITIES.MANAGE_MEMBERS), false);
+});
+
+test('activity authors own the activity without a sequence lookup', async () => {
+  const exists = mock.method(Sequence, 'exists', async () => null);
+  const role = await getActivityRole({ id: 'a1', author: { userId: 'u1' } }, { id: 'u1' });
+
+  assert.equal(role, ROLES.OWNER);
+  assert.equal(exists.mock.callCount(), 0);
+});
+
+test('sequence facilitators co-facilitate its activities, filtered by capability', async () => {
+  const exists = mock.method(Sequence, 'exists', async () => ({ _id: 's1' }));
+  const role = await getActivityRole({ id: 'a1' }, { id: 'cofac' }, CAPABILITIES.OPEN_CLOSE_ACTIVITIES);
+
+  assert.equal(role, ROLES.COFACILITATOR);
+  const query = exists.mock.calls[0].arguments[0];
+  assert.equal(query['activities.activityId'], 'a1');
+  assert.deepEqual(query.$or[1], {
+    facilitators: { $elemMatch: { userId: 'cofac', 'capabilities.openCloseActivities': true } }
+  });
+});
+
+test('requireActivityRole rejects users without an allowed role', async () => {
+  mock.method(Activity, 'findOne', async () => ({ id: 'a1', author: { userId: 'owner' } }));
+  mock.method(Sequence, 'exists', async () => null);
+
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let called = false;
+  await requireActivityRole(OWNER_ROLES)({ params: { id: 'a1' }, user: { id: 'u2' } }, res, () => { called = true; });
+  assert.equal(res.statusCode, 403);
+  assert.equal(called, false);
+
+  const req = { params: { id: 'a1' }, user: { id: 'owner' } };
+  await requireActivityRole(OWNER_ROLES)(req, res, () => { called = true; });
+  assert.equal(called, true);
+  assert.equal(req.activityRole, ROLES.OWNER);
+});
@@ -0,0 +1,47 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Activity = require('../models/Activity');
+const { getLivePreviewState, clearLivePreviewCache } = require('../services/positionPreview');
+
+function stubActivity(fields) {
+  return mock.method(Activity, 'findOne', () => ({
+    select() { return this; },
+    lean: async () => ({ id: 'a1', livePreview: true, ...fields })
+  }));
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  clearLivePreviewCache('a1');
+});
+
+test('previews are allowed when every entry is revealed', async () => {
+  stubActivity({ revealPolicy: 'immediate' });
+  assert.deepEqual(await getLivePreviewState('a1'), { enabled: true, revealed: true });
+});
+
+test('previews are held back while entries are hidden', async () => {
+  for (const fields of [
+    { revealPolicy: 'after_submit' },
+    { revealPolicy: 'on_facilitator_reveal', liveSession: { revealed: false } },
+    { revealPolicy: 'on_close', status: 'active' },
+    { revealPolicy: 'immediate', liveSession: { revealed: false } }
+  ]) {
+    clearLivePreviewCache('a1');
+    stubActivity(fields);
+    assert.deepEqual(await getLivePreviewState('a1'), { enabled: true, revealed: false }, fields.revealPolicy);
+    mock.restoreAll();
+  }
+});
+
+test('clearing the cache picks up a facilitator hiding entries', async () => {
+  const findOne = stubActivity({ revealPolicy: 'immediate' });
+  assert.equal((await getLivePreviewState('a1')).revealed, true);
+  assert.equal((await getLivePreviewState('a1')).revealed, true);
+  assert.equal(findOne.mock.callCount(), 1);
+
+  mock.restoreAll();
+  stubActivity({ revealPolicy: 'immediate', liveSession: { revealed: false } });
+  clearLivePreviewCache('a1');
+  assert.equal((await getLivePreviewState('a1')).revealed, false);
+});
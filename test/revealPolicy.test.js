@@ -0,0 +1,125 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Activity = require('../models/Activity');
+const Sequence = require('../models/Sequence');
+const createActivityRoutes = require('../routes/activities');
+const { hideOthersEntries, redactEventData, notifyStatusChanged } = require('../services/revealPolicy');
+const { callRoute, authenticateAs } = require('./helpers/routes');
+
+function mockIo() {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+  };
+}
+
+// A list query result: a mongoose document stand-in with toObject()
+function activityDoc(fields) {
+  const data = {
+    id: 'a1',
+    author: { userId: 'owner' },
+    status: 'active',
+    revealPolicy: 'on_close',
+    ratings: [{ userId: 'u1', position: { x: 0.1, y: 0.2 } }, { userId: 'u2', position: { x: 0.3, y: 0.4 } }],
+    comments: [{ id: 'c1', userId: 'u2', text: 'hi' }],
+    ...fields
+  };
+  return { ...data, _id: 'oid', toObject: () => ({ ...data }) };
+}
+
+function stubActivityList(docs, facilitatedSequences = []) {
+  const find = mock.method(Activity, 'find', () => ({
+    sort() { return this; },
+    select: async () => docs
+  }));
+  mock.method(Sequence, 'find', () => ({ select() { return this; }, lean: async () => facilitatedSequences }));
+  mock.method(Sequence, 'exists', async () => null);
+  return find;
+}
+
+afterEach(() => mock.restoreAll());
+
+test('hideOthersEntries keeps only the viewer\'s own entries', () => {
+  const hidden = hideOthersEntries(activityDoc().toObject(), 'u1');
+  assert.deepEqual(hidden.ratings.map(r => r.userId), ['u1']);
+  assert.deepEqual(hidden.comments, []);
+  assert.equal(hidden.entriesHidden, true);
+});
+
+test('redactEventData hides others\' ratings but keeps the event version', () => {
+  assert.equal(redactEventData({ version: 4, rating: { userId: 'u2' } }, 'u1').rating, undefined);
+  assert.equal(redactEventData({ version: 4, rating: { userId: 'u2' } }, 'u1').version, 4);
+  assert.deepEqual(redactEventData({ version: 5, rating: { userId: 'u1' } }, 'u1').rating, { userId: 'u1' });
+});
+
+test('the public list hides entries that are not revealed yet', async () => {
+  stubActivityList([activityDoc(), activityDoc({ id: 'a2', revealPolicy: 'immediate' })]);
+  const router = createActivityRoutes(mockIo());
+
+  const res = await callRoute(router, 'get', '/', {});
+
+  const [hidden, open] = res.body.data.activities;
+  assert.deepEqual(hidden.ratings, []);
+  assert.equal(hidden.entriesHidden, true);
+  assert.equal(open.ratings.length, 2);
+});
+
+test('a participant sees only their own entries in lists; the owner sees all', async () => {
+  stubActivityList([activityDoc()]);
+  const router = createActivityRoutes(mockIo());
+
+  let res = await callRoute(router, 'get', '/user/:userId', {
+    params: { userId: 'u1' },
+    headers: authenticateAs(mock, { id: 'u1', role: 'user' })
+  });
+  assert.deepEqual(res.body.data.activities[0].ratings.map(r => r.userId), ['u1']);
+
+  mock.restoreAll();
+  stubActivityList([activityDoc()]);
+  res = await callRoute(router, 'get', '/user/:userId', {
+    params: { userId: 'u1' },
+    headers: authenticateAs(mock, { id: 'owner', role: 'user' })
+  });
+  assert.equal(res.body.data.activities[0].ratings.length, 2);
+});
+
+test('lists look up the viewer\'s facilitated sequences once', async () => {
+  stubActivityList(
+    [activityDoc(), activityDoc({ id: 'a2' }), activityDoc({ id: 'a3' })],
+    [{ activities: [{ activityId: 'a1' }, { activityId: 'a3' }] }]
+  );
+  const router = createActivityRoutes(mockIo());
+
+  const res = await callRoute(router, 'get', '/', { headers: authenticateAs(mock, { id: 'facilitator', role: 'user' }) });
+
+  assert.deepEqual(res.body.data.activities.map(a => a.ratings.length), [2, 0, 2]);
+  assert.equal(Sequence.find.mock.callCount(), 1);
+  assert.equal(Sequence.exists.mock.callCount(), 0);
+});
+
+test('the admin list requires an admin', async () => {
+  const find = stubActivityList([activityDoc()]);
+  const router = createActivityRoutes(mockIo());
+
+  let res = await callRoute(router, 'get', '/admin', {});
+  assert.equal(res.statusCode, 401);
+
+  res = await callRoute(router, 'get', '/admin', { headers: authenticateAs(mock, { id: 'u1', role: 'user' }) });
+  assert.equal(res.statusCode, 403);
+  assert.equal(find.mock.callCount(), 0);
+
+  res = await callRoute(router, 'get', '/admin', { headers: authenticateAs(mock, { id: 'root', role: 'admin' }) });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.activities[0].ratings.length, 2);
+});
+
+test('status changes notify viewers only under on_close', async () => {
+  const io = mockIo();
+  await notifyStatusChanged(io, { id: 'a1', revealPolicy: 'immediate' });
+  await notifyStatusChanged(io, null);
+  assert.deepEqual(io.emitted, []);
+
+  await notifyStatusChanged(io, { id: 'a1', revealPolicy: 'on_close' });
+  assert.deepEqual(io.emitted, [{ room: 'a1', event: 'visibility_changed', payload: { activityId: 'a1' } }]);
+});
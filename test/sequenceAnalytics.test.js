@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Sequence = require('../models/Sequence');
+const { buildJourneyAnalytics } = require('../services/sequenceAnalytics');
+
+// a -> b -> c
+function linearSequence() {
+  return new Sequence({
+    id: 's1',
+    title: 'Journey',
+    urlName: 'journey',
+    createdBy: 'owner',
+    members: [{ userId: 'u1', username: 'Ann' }, { userId: 'u2', username: 'Ben' }],
+    activities: [
+      { activityId: 'a', order: 0 },
+      { activityId: 'b', order: 1 },
+      { activityId: 'c', order: 2 }
+    ]
+  });
+}
+
+const activity = (id, submitters) => ({
+  id,
+  title: id.toUpperCase(),
+  participants: submitters.map(userId => ({ id: userId })),
+  ratings: submitters.map(userId => ({ userId, position: { x: 0.5, y: 0.5 } })),
+  comments: []
+});
+
+const funnelOf = (result) => Object.fromEntries(result.funnel.map(step => [step.activityId, [step.eligible, step.retained]]));
+
+test('the funnel counts members who submitted in every ancestor', () => {
+  const result = buildJourneyAnalytics(linearSequence(), [
+    activity('a', ['u1', 'u2']),
+    activity('b', ['u1']),
+    activity('c', ['u1'])
+  ]);
+
+  assert.deepEqual(funnelOf(result), { a: [2, 2], b: [2, 1], c: [1, 1] });
+  assert.deepEqual(result.members.map(m => m.activitiesSubmitted), [3, 1]);
+});
+
+test('missing ancestor activities are skipped in the funnel', () => {
+  const result = buildJourneyAnalytics(linearSequence(), [
+    activity('a', ['u1', 'u2']),
+    activity('c', ['u2'])
+  ]);
+
+  assert.deepEqual(funnelOf(result), { a: [2, 2], c: [2, 1] });
+});
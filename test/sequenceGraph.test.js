@@ -0,0 +1,81 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Activity = require('../models/Activity');
+const Sequence = require('../models/Sequence');
+const createSequenceScheduler = require('../services/sequenceScheduler');
+
+const now = new Date('2026-10-01T12:00:00Z');
+const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+
+// a -> c, b -> c
+const diamond = () => [
+  { activityId: 'a', order: 0, parentActivityIds: [] },
+  { activityId: 'b', order: 1, parentActivityIds: [] },
+  { activityId: 'c', order: 2, parentActivityIds: ['a', 'b'], autoClose: true, duration: 2 }
+];
+
+afterEach(() => mock.restoreAll());
+
+test('linear sequences use the previous activity by order as parent', () => {
+  const activities = [{ activityId: 'x', order: 1 }, { activityId: 'w', order: 0 }];
+  assert.deepEqual(Sequence.getParentIds(activities, activities[0]), ['w']);
+  assert.deepEqual(Sequence.getParentIds(activities, activities[1]), []);
+});
+
+test('an activity is ready only once all of its parents are closed', () => {
+  const activities = diamond();
+  const [a, b, c] = activities;
+
+  a.openedAt = hourAgo;
+  a.closedAt = hourAgo;
+  b.openedAt = hourAgo;
+  assert.equal(Sequence.getActivityState(activities, a, now), 'closed');
+  assert.equal(Sequence.getActivityState(activities, b, now), 'open');
+  assert.equal(Sequence.getActivityState(activities, c, now), 'locked');
+
+  b.closedAt = hourAgo;
+  assert.equal(Sequence.getActivityState(activities, c, now), 'ready');
+});
+
+test('a future closedAt does not count as closed', () => {
+  const entry = { activityId: 'a', openedAt: hourAgo, closedAt: new Date(now.getTime() + 1000) };
+  assert.equal(Sequence.isActivityClosed(entry, now), false);
+  assert.equal(Sequence.getActivityState([entry], entry, now), 'open');
+});
+
+test('graph validation reports duplicates, unknown parents and cycles', () => {
+  assert.deepEqual(Sequence.validateActivityGraph(diamond()), []);
+
+  const errors = Sequence.validateActivityGraph([
+    { activityId: 'a', parentActivityIds: ['c'] },
+    { activityId: 'b', parentActivityIds: ['a', 'missing'] },
+    { activityId: 'c', parentActivityIds: ['b'] }
+  ]);
+  assert.ok(errors.some(e => /unknown parent missing/.test(e)));
+  assert.ok(errors.some(e => /cycle: a, b, c/.test(e)));
+
+  const duplicates = Sequence.validateActivityGraph([{ activityId: 'a' }, { activityId: 'a' }]);
+  assert.deepEqual(duplicates, ['Activity a appears more than once']);
+});
+
+test('the scheduler opens a child once both parents closed, with its scheduled close date', async () => {
+  const activities = diamond();
+  activities[0].openedAt = hourAgo;
+  activities[0].closedAt = hourAgo;
+  activities[1].openedAt = hourAgo;
+  activities[1].closedAt = hourAgo;
+
+  mock.method(Sequence, 'find', () => ({ select() { return this; }, lean: async () => [{ id: 's1', status: 'active', activities }] }));
+  mock.method(Activity, 'find', () => ({ select: async () => [] }));
+  const updates = mock.method(Sequence, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const emitted = [];
+  const io = { to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) };
+
+  await createSequenceScheduler(io).tick(now);
+
+  const [filter, update] = updates.mock.calls[0].arguments;
+  assert.deepEqual(filter.activities.$elemMatch, { activityId: 'c', openedAt: null });
+  assert.equal(update.$set['activities.$.openedAt'], now);
+  assert.equal(update.$set['activities.$.closedAt'].toISOString(), '2026-10-03T12:00:00.000Z');
+  assert.ok(emitted.some(e => e.room === 'c' && e.event === 'activity_opened'));
+});
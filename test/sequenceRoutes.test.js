@@ -0,0 +1,79 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Sequence = require('../models/Sequence');
+const createSequenceRoutes = require('../routes/sequences');
+const { callRoute, authenticateAs } = require('./helpers/routes');
+
+function mockIo() {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+  };
+}
+
+function stubSequence(fields = {}) {
+  const sequence = new Sequence({
+    id: 's1',
+    title: 'Sequence',
+    urlName: 'sequence',
+    createdBy: 'owner',
+    members: [{ userId: 'member', username: 'member' }],
+    ...fields
+  });
+  mock.method(Sequence, 'findOne', async () => sequence);
+  mock.method(Sequence.prototype, 'save', async function() { return this; });
+  return sequence;
+}
+
+afterEach(() => mock.restoreAll());
+
+test('enrolling emits member_joined only for new members', async () => {
+  const io = mockIo();
+  const router = createSequenceRoutes(io);
+
+  const headers = authenticateAs(mock, { id: 'newcomer', role: 'user' });
+  const sequence = stubSequence();
+  let res = await callRoute(router, 'post', '/:id/enroll', { params: { id: 's1' }, headers, body: { displayName: 'New' } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(sequence.members.length, 2);
+  assert.equal(io.emitted.filter(e => e.event === 'member_joined').length, 1);
+
+  res = await callRoute(router, 'post', '/:id/enroll', { params: { id: 's1' }, headers, body: {} });
+  assert.equal(res.statusCode, 200);
+  assert.equal(io.emitted.filter(e => e.event === 'member_joined').length, 1);
+});
+
+test('editing membership or status fields needs the matching capabilities', async () => {
+  const router = createSequenceRoutes(mockIo());
+  const headers = authenticateAs(mock, { id: 'editor', role: 'user' });
+  stubSequence({ facilitators: [{ userId: 'editor', capabilities: { editActivities: true, manageMembers: false, openCloseActivities: false } }] });
+
+  let res = await callRoute(router, 'put', '/:id', {
+    params: { id: 's1' },
+    headers,
+    body: { title: 'Renamed', status: 'active', requireInvitation: true }
+  });
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body.fields, ['requireInvitation', 'status']);
+
+  res = await callRoute(router, 'put', '/:id', { params: { id: 's1' }, headers, body: { title: 'Renamed' } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.title, 'Renamed');
+});
+
+test('the admin sequence list requires an admin', async () => {
+  const find = mock.method(Sequence, 'find', () => ({ sort: async () => [] }));
+  const router = createSequenceRoutes(mockIo());
+
+  let res = await callRoute(router, 'get', '/admin', {});
+  assert.equal(res.statusCode, 401);
+
+  res = await callRoute(router, 'get', '/admin', { headers: authenticateAs(mock, { id: 'u1', role: 'user' }) });
+  assert.equal(res.statusCode, 403);
+  assert.equal(find.mock.callCount(), 0);
+
+  res = await callRoute(router, 'get', '/admin', { headers: authenticateAs(mock, { id: 'root', role: 'admin' }) });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, []);
+});
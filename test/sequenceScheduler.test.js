@@ -0,0 +1,103 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Activity = require('../models/Activity');
+const Sequence = require('../models/Sequence');
+const createSequenceScheduler = require('../services/sequenceScheduler');
+
+const now = new Date('2026-10-01T12:00:00Z');
+const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+
+// Records io.to(room).emit(event, payload) calls
+function mockIo() {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+  };
+}
+
+function stubSequences(sequences, activeActivityIds = [], revealPolicy = 'immediate') {
+  mock.method(Sequence, 'find', () => ({ select() { return this; }, lean: async () => sequences }));
+  mock.method(Activity, 'find', (query) => ({
+    select: async () => query.id.$in.filter(id => activeActivityIds.includes(id)).map(id => ({ id }))
+  }));
+  return {
+    activityUpdates: mock.method(Activity, 'findOneAndUpdate', async (query) => ({ id: query.id, revealPolicy })),
+    sequenceUpdates: mock.method(Sequence, 'updateOne', async () => ({ modifiedCount: 1 }))
+  };
+}
+
+afterEach(() => mock.restoreAll());
+
+test('completes activities whose closedAt has passed', async () => {
+  const sequence = {
+    id: 's1',
+    status: 'active',
+    activities: [
+      { activityId: 'a1', order: 0, openedAt: hourAgo, closedAt: hourAgo },
+      { activityId: 'a2', order: 1, openedAt: hourAgo, closedAt: tomorrow }
+    ]
+  };
+  const { activityUpdates } = stubSequences([sequence], ['a1', 'a2']);
+  const io = mockIo();
+
+  await createSequenceScheduler(io).tick(now);
+
+  assert.equal(activityUpdates.mock.callCount(), 1);
+  assert.deepEqual(activityUpdates.mock.calls[0].arguments.slice(0, 2), [{ id: 'a1', status: 'active' }, { status: 'completed' }]);
+  assert.ok(io.emitted.some(e => e.room === 'a1' && e.event === 'activity_closed'));
+  assert.ok(!io.emitted.some(e => e.room === 'a2'));
+  assert.ok(!io.emitted.some(e => e.event === 'visibility_changed'));
+});
+
+test('tells viewers to resync when closing an on_close activity', async () => {
+  const sequence = {
+    id: 's1',
+    status: 'active',
+    activities: [{ activityId: 'a1', order: 0, openedAt: hourAgo, closedAt: hourAgo }]
+  };
+  stubSequences([sequence], ['a1'], 'on_close');
+  const io = mockIo();
+
+  await createSequenceScheduler(io).tick(now);
+
+  assert.ok(io.emitted.some(e => e.room === 'a1' && e.event === 'visibility_changed'));
+});
+
+test('completes the sequence once every activity is closed', async () => {
+  const sequence = {
+    id: 's1',
+    status: 'active',
+    activities: [{ activityId: 'a1', order: 0, openedAt: hourAgo, closedAt: hourAgo }]
+  };
+  const { sequenceUpdates } = stubSequences([sequence]);
+  const io = mockIo();
+
+  await createSequenceScheduler(io).tick(now);
+
+  assert.deepEqual(sequenceUpdates.mock.calls[0].arguments[0], { id: 's1', status: 'active' });
+  assert.equal(sequenceUpdates.mock.calls[0].arguments[1].status, 'completed');
+  assert.ok(io.emitted.some(e => e.event === 'sequence_completed'));
+});
+
+test('does nothing when an update was already applied by another instance', async () => {
+  const sequence = {
+    id: 's1',
+    status: 'active',
+    activities: [{ activityId: 'a1', order: 0, openedAt: hourAgo, closedAt: hourAgo }]
+  };
+  stubSequences([sequence], ['a1']);
+  Activity.findOneAndUpdate.mock.mockImplementation(async () => null);
+  Sequence.updateOne.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+  const io = mockIo();
+
+  await createSequenceScheduler(io).tick(now);
+  assert.deepEqual(io.emitted, []);
+});
+
+test('skips ticks until the database is ready', async () => {
+  stubSequences([]);
+  await createSequenceScheduler(mockIo(), { isReady: () => false }).tick(now);
+  assert.equal(Sequence.find.mock.callCount(), 0);
+});
@@ -0,0 +1,61 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Activity = require('../models/Activity');
+const Sequence = require('../models/Sequence');
+const createActivityRoutes = require('../routes/activities');
+const { SubmissionError, submitReply } = require('../services/submissions');
+const { callRoute, authenticateAs } = require('./helpers/routes');
+
+// An activity whose entries are hidden from participants
+function stubHiddenActivity() {
+  const activity = {
+    id: 'a1',
+    status: 'active',
+    author: { userId: 'owner' },
+    revealPolicy: 'on_facilitator_reveal',
+    liveSession: { revealed: false },
+    participants: [{ id: 'u1', username: 'Ann' }, { id: 'u2', username: 'Ben' }, { id: 'root', username: 'Admin' }],
+    ratings: [],
+    comments: [{ id: 'c1', userId: 'u2', text: 'Hidden', votes: [], replies: [] }],
+    addReply: mock.fn(async function(commentId, userId, username, text) {
+      this.comments.find(c => c.id === commentId).replies.push({ id: 'r1', userId, username, text });
+    }),
+    voteComment: mock.fn(async () => {})
+  };
+  mock.method(Activity, 'findOne', async () => activity);
+  mock.method(Activity, 'findOneAndUpdate', async () => null);
+  mock.method(Sequence, 'exists', async () => null);
+  return activity;
+}
+
+afterEach(() => mock.restoreAll());
+
+test('participants cannot reply to comments hidden from them', async () => {
+  stubHiddenActivity();
+
+  await assert.rejects(
+    submitReply(null, { activityId: 'a1', commentId: 'c1', user: { id: 'u1', role: 'user' }, text: 'Hi' }),
+    (error) => error instanceof SubmissionError && error.code === 'comment_not_found'
+  );
+});
+
+test('admins can reply to hidden comments', async () => {
+  const activity = stubHiddenActivity();
+
+  const { reply } = await submitReply(null, { activityId: 'a1', commentId: 'c1', user: { id: 'root', role: 'admin' }, text: 'Hi' });
+
+  assert.equal(reply.userId, 'root');
+  assert.equal(activity.addReply.mock.callCount(), 1);
+});
+
+test('hidden comments cannot be voted on', async () => {
+  const router = createActivityRoutes(null);
+  const headers = authenticateAs(mock, { id: 'u1', role: 'user' });
+  const activity = stubHiddenActivity();
+
+  const res = await callRoute(router, 'post', '/:id/comment/:commentId/vote', { params: { id: 'a1', commentId: 'c1' }, headers });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Comment not found');
+  assert.equal(activity.voteComment.mock.callCount(), 0);
+});
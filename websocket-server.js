@@ -13,16 +13,32 @@ const mongoose = require('mongoose');
 const bodyParser = require('body-parser');
 const { v4: uuidv4 } = require('uuid');
 const rateLimit = require('express-rate-limit');
+const { resolveUser } = require('./middleware/authenticate');
+const { checkActivityAccess, checkSequenceAccess } = require('./services/activityAccess');
+const { sequenceRoom } = require('./services/sequenceEvents');
+const { buildActivitySync } = require('./services/activityEvents');
+const { setupCluster, createMemoryPresenceStore } = require('./services/cluster');
+const { submitRating, submitComment } = require('./services/submissions');
+const { ServiceError } = require('./services/errors');
+const { withAck } = require('./services/socketAck');
+const { getLivePreviewState, createPreviewThrottle } = require('./services/positionPreview');
+const liveSession = require('./services/liveSession');
+const { canSeeOthers } = require('./services/revealPolicy');
 
 // Connection tracking and cleanup intervals
 const CONNECTIONS_CLEANUP_INTERVAL = process.env.NODE_ENV === 'production' ? 30 * 1000 : 10 * 1000;
 const STALE_CONNECTION_CLEANUP_INTERVAL = process.env.NODE_ENV === 'production' ? 120 * 1000 : 30 * 1000;
 
-// Connection limits
-const MAX_CONNECTIONS = process.env.MAX_CONNECTIONS || 25;
+// Presence: how long a disconnected participant stays listed (quick reconnects
+// don't flicker) and how long a typing indicator lasts without a refresh
+const PRESENCE_GRACE_MS = Number(process.env.PRESENCE_GRACE_MS) || 5 * 1000;
+const TYPING_TIMEOUT_MS = 8 * 1000;
+
+// Connection limits (cluster-wide when REDIS_URL is set)
+const MAX_CONNECTIONS = Number(process.env.MAX_CONNECTIONS) || 25;
 const SOFT_LIMIT = Math.floor(MAX_CONNECTIONS * 0.8);
 
-let connectionCount = 0;
+let connectionCount = 0; // Connections on this instance
 const operationsInProgress = new Set();
 
 // Express setup
@@ -55,7 +71,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "X-User-Id"]
+  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"]
 }));
 
 app.use(bodyParser.json());
@@ -113,20 +129,61 @@ const io = new Server(server, {
   }
 });
 
-// Store active connections and activity participants
+// Connections on this instance; cluster-wide presence lives in the presence store
 const connections = new Map(); // socketId -> { userId, activityIds }
-const activities = new Map(); // activityId -> Set of userIds
+
+// Replaced by the shared store once setupCluster() resolves
+let cluster = null;
+let presence = createMemoryPresenceStore();
+
+// Presence failures are logged but never break socket handling
+async function safePresenceOperation(operation, fallback = null) {
+  try {
+    return await operation();
+  } catch (error) {
+    console.error('Presence operation failed:', error.message);
+    return fallback;
+  }
+}
+
+// Tell the room a user left, unless they still have a socket in the activity
+// (another tab, or a reconnect to any instance during the grace period)
+async function announceParticipantLeft(activityId, userId) {
+  const participantIds = await safePresenceOperation(() => presence.getParticipants(activityId), []);
+  if (participantIds.includes(userId)) return;
+
+  await safeDbOperation(async () => {
+    const activity = await Activity.findOne({ id: activityId });
+    if (activity) {
+      await activity.updateParticipantConnection(userId, false);
+    }
+  });
+
+  io.to(activityId).emit('participant_left', {
+    participantId: userId
+  });
+}
+
+// Remove a socket from every activity it joined on this instance
+async function removeSocketPresence(socketId, connection) {
+  for (const activityId of connection.activityIds || []) {
+    await safePresenceOperation(() => presence.removeParticipant(activityId, socketId));
+  }
+  await safePresenceOperation(() => presence.removeConnection(socketId));
+}
 
 // MongoDB connection
 let isMongoConnected = false;
 let Activity = null;
+let Sequence = null;
 
 // Connection cleanup
 setInterval(() => {
   const memoryUsage = process.memoryUsage();
   const rssInMB = Math.round(memoryUsage.rss / 1024 / 1024);
   
-  console.log(`Connections: ${connectionCount}, Activities: ${activities.size}, Memory: ${rssInMB}MB`);
+  const activityCount = new Set([...connections.values()].flatMap(c => [...c.activityIds])).size;
+  console.log(`Connections: ${connectionCount}, Activities: ${activityCount}, Memory: ${rssInMB}MB`);
   
   if (operationsInProgress.size > 50) {
     console.log(`Clearing ${operationsInProgress.size} stale operations`);
@@ -146,30 +203,12 @@ setInterval(() => {
     if (!io.sockets.sockets.has(socketId)) {
       connections.delete(socketId);
       cleaned++;
-      
-      if (connection && connection.userId) {
-        for (const activityId of connection.activityIds || []) {
-          if (activities.has(activityId)) {
-            activities.get(activityId).delete(connection.userId);
-            if (activities.get(activityId).size === 0) {
-              activities.delete(activityId);
-            }
-          }
-        }
-      }
+      removeSocketPresence(socketId, connection);
     }
   }
   
-  let emptyActivities = 0;
-  for (const [activityId, participants] of activities.entries()) {
-    if (participants.size === 0) {
-      activities.delete(activityId);
-      emptyActivities++;
-    }
-  }
-  
-  if (cleaned > 0 || emptyActivities > 0) {
-    console.log(`Cleanup: ${cleaned} stale connections, ${emptyActivities} empty activities`);
+  if (cleaned > 0) {
+    console.log(`Cleanup: ${cleaned} stale connections`);
   }
 }, STALE_CONNECTION_CLEANUP_INTERVAL);
 
@@ -181,7 +220,7 @@ function loadAPIRoutes() {
     try {
       const activityRoutes = require('./routes/activities')(io);
       const analyticsRoutes = require('./routes/analytics')();
-      const sequenceRoutes = require('./routes/sequences');
+      const sequenceRoutes = require('./routes/sequences')(io);
       const authRoutes = require('./routes/auth');
       const userRoutes = require('./routes/users');
       const adminRoutes = require('./routes/admin');
@@ -203,6 +242,32 @@ function loadAPIRoutes() {
   }
 }
 
+// Background jobs (started once MongoDB is connected)
+let sequenceScheduler = null;
+let engagementRollupJob = null;
+
+function startBackgroundJobs() {
+  if (sequenceScheduler) return;
+  try {
+    const createSequenceScheduler = require('./services/sequenceScheduler');
+    sequenceScheduler = createSequenceScheduler(io, {
+      intervalMs: Number(process.env.SEQUENCE_SCHEDULER_INTERVAL_MS) || undefined,
+      isReady: () => isMongoConnected
+    });
+    sequenceScheduler.start();
+
+    const createEngagementRollupJob = require('./services/engagementRollupJob');
+    engagementRollupJob = createEngagementRollupJob({
+      intervalMs: Number(process.env.ENGAGEMENT_ROLLUP_INTERVAL_MS) || undefined,
+      lookbackDays: Number(process.env.ENGAGEMENT_ROLLUP_LOOKBACK_DAYS) || undefined,
+      isReady: () => isMongoConnected
+    });
+    engagementRollupJob.start();
+  } catch (error) {
+    console.error('❌ Error starting background jobs:', error.message);
+  }
+}
+
 // MongoDB connection
 console.log("MongoDB URI:", process.env.MONGODB_URI ? "Set" : "Not set");
 
@@ -230,9 +295,11 @@ if (process.env.MONGODB_URI) {
     
     try {
       Activity = require('./models/Activity');
+      Sequence = require('./models/Sequence');
       console.log('✅ MongoDB models loaded');
       
       loadAPIRoutes();
+      startBackgroundJobs();
       
       const collections = await mongoose.connection.db.listCollections().toArray();
       console.log('MongoDB collections:', collections.map(c => c.name));
@@ -272,6 +339,9 @@ if (process.env.MONGODB_URI) {
   
   process.on('SIGINT', async () => {
     try {
+      if (cluster) {
+        await cluster.close();
+      }
       if (isMongoConnected) {
         await mongoose.connection.close();
         console.log('MongoDB connection closed');
@@ -285,20 +355,26 @@ if (process.env.MONGODB_URI) {
 }
 
 // Health check
-app.get('/health', (req, res) => {
-  const capacityStatus = connectionCount >= MAX_CONNECTIONS ? 'full' : 
-                        connectionCount >= SOFT_LIMIT ? 'high' : 'normal';
+app.get('/health', async (req, res) => {
+  const totalConnections = await safePresenceOperation(() => presence.countConnections(), connectionCount);
+  const capacityStatus = totalConnections >= MAX_CONNECTIONS ? 'full' : 
+                        totalConnections >= SOFT_LIMIT ? 'high' : 'normal';
   
   res.json({ 
     status: 'ok', 
     message: 'We All Explain WebSocket server is running',
     mongodb: isMongoConnected ? 'connected' : 'disconnected',
-    connections: connectionCount,
+    connections: totalConnections,
     capacity: {
-      current: connectionCount,
+      current: totalConnections,
       max: MAX_CONNECTIONS,
       status: capacityStatus
     },
+    instance: {
+      id: cluster?.instanceId || null,
+      adapter: cluster?.adapter || 'memory',
+      connections: connectionCount
+    },
     apiRoutesLoaded: apiRoutesLoaded
   });
 });
@@ -318,11 +394,64 @@ async function safeDbOperation(operation, fallback = null) {
   }
 }
 
+// Build a handshake error the client receives via connect_error (err.data.reason)
+function handshakeError(reason, message) {
+  const error = new Error(message);
+  error.data = { reason, message };
+  return error;
+}
+
+// Authenticate the socket handshake with the same access token the REST API uses
+io.use(async (socket, next) => {
+  const authHeader = socket.handshake.headers?.authorization || '';
+  const token = socket.handshake.auth?.token ||
+    (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null);
+
+  if (!token) {
+    return next(handshakeError('auth_required', 'Authentication required'));
+  }
+
+  if (!isMongoConnected) {
+    return next(handshakeError('service_unavailable', 'Server is starting up. Please try again shortly.'));
+  }
+
+  try {
+    const user = await resolveUser(token);
+    if (!user) {
+      return next(handshakeError('invalid_token', 'Invalid or expired token'));
+    }
+
+    socket.data.user = {
+      id: user.id,
+      name: user.name || '',
+      email: user.email,
+      role: user.role
+    };
+    next();
+  } catch (error) {
+    console.error('❌ Socket authentication failed:', error.message);
+    next(handshakeError('service_unavailable', 'Authentication failed. Please try again.'));
+  }
+});
+
+// Register the connection in the presence store. Adding first and then
+// counting means concurrent connects on different instances can't both
+// slip under the cluster-wide limit.
+io.use(async (socket, next) => {
+  socket.data.totalConnections = await safePresenceOperation(
+    () => presence.addConnection(socket.id, socket.data.user.id),
+    connectionCount + 1
+  );
+  next();
+});
+
 // Socket connection handling
 io.on('connection', (socket) => {
   // Connection limit check
-  if (connectionCount >= MAX_CONNECTIONS) {
-    console.log(`❌ Connection rejected: at capacity (${connectionCount}/${MAX_CONNECTIONS})`);
+  const totalConnections = socket.data.totalConnections;
+  if (totalConnections > MAX_CONNECTIONS) {
+    console.log(`❌ Connection rejected: at capacity (${totalConnections - 1}/${MAX_CONNECTIONS})`);
+    safePresenceOperation(() => presence.removeConnection(socket.id));
     socket.emit('connection_rejected', {
       reason: 'capacity_full',
       message: 'Sorry! Server is at capacity. Please try again in a few minutes.'
@@ -332,24 +461,137 @@ io.on('connection', (socket) => {
   }
 
   connectionCount++;
-  console.log(`✅ User connected: ${socket.id} (Total: ${connectionCount}/${MAX_CONNECTIONS})`);
-  connections.set(socket.id, { userId: null, activityIds: new Set() });
+  console.log(`✅ User connected: ${socket.id} (Instance: ${connectionCount}, Total: ${totalConnections}/${MAX_CONNECTIONS})`);
+  connections.set(socket.id, { userId: socket.data.user.id, activityIds: new Set() });
   
   // Capacity warning
-  if (connectionCount >= SOFT_LIMIT) {
+  if (totalConnections >= SOFT_LIMIT) {
     socket.emit('capacity_warning', {
       message: 'High traffic detected - performance may be slower.'
     });
   }
 
+  const serviceUnavailable = () => new ServiceError('service_unavailable', 'Server is temporarily unavailable. Please try again shortly.', 503);
+
+  // Tell the client why it could not join an activity room; returns the error to throw
+  const rejectJoin = (activityId, reason, message) => {
+    console.log(`🚫 Join rejected for ${socket.data.user.id} on activity ${activityId}: ${reason}`);
+    socket.emit('join_rejected', { activityId, reason, message });
+    return new ServiceError(reason, message);
+  };
+
+  // Send missed events since sinceVersion, or a full snapshot, filtered by the reveal policy
+  const sendActivitySync = async (activity, sinceVersion) => {
+    const user = socket.data.user;
+    const sync = buildActivitySync(activity, sinceVersion, {
+      viewerId: user.id,
+      canSeeOthers: await canSeeOthers(activity, user)
+    });
+    socket.emit('activity_sync', sync);
+    return sync;
+  };
+
+  const isInActivity = (activityId) => !!connections.get(socket.id)?.activityIds.has(activityId);
+
+  // Live drag previews are never stored; volatile so slow clients just skip frames
+  const previewThrottle = createPreviewThrottle((activityId, preview) => {
+    socket.volatile.to(activityId).emit('position_preview', preview);
+  });
+
+  // Typing indicators expire unless the client refreshes them
+  const typingTimers = new Map(); // activityId -> timeout
+
+  const clearTypingTimer = (activityId) => {
+    clearTimeout(typingTimers.get(activityId));
+    typingTimers.delete(activityId);
+  };
+
+  const clearTypingTimers = () => {
+    for (const activityId of [...typingTimers.keys()]) clearTypingTimer(activityId);
+  };
+
+  // Update this socket's presence and tell the rest of the room
+  const updatePresence = async (activityId, changes) => {
+    if (changes.typing === true) {
+      clearTypingTimer(activityId);
+      typingTimers.set(activityId, setTimeout(() => {
+        typingTimers.delete(activityId);
+        updatePresence(activityId, { typing: false }).catch(error => {
+          console.error(`❌ Error clearing typing indicator: ${error.message}`);
+        });
+      }, TYPING_TIMEOUT_MS));
+    } else if (changes.typing === false) {
+      clearTypingTimer(activityId);
+    }
+
+    const participant = await presence.updateParticipant(activityId, socket.id, changes);
+    if (participant) {
+      socket.to(activityId).emit('presence_updated', { activityId, participant });
+    }
+    return participant;
+  };
+
+  // Remove this socket's preview from everyone else's map
+  const clearPreview = (activityId) => {
+    previewThrottle.cancel(activityId);
+    io.to(activityId).except(socket.id).emit('position_preview_cleared', {
+      activityId,
+      userId: socket.data.user.id
+    });
+  };
+
   // Join activity
-  socket.on('join_activity', async ({ activityId, userId, username }) => {
+  socket.on('join_activity', withAck('join_activity', async ({ activityId, username, sequenceId, sinceVersion }) => {
+    const userId = socket.data.user.id;
     console.log(`👋 User ${username} (${userId}) joining activity ${activityId}`);
+
+    if (!isMongoConnected || !Activity) {
+      throw rejectJoin(activityId, 'service_unavailable', 'Server is temporarily unavailable. Please try again shortly.');
+    }
     
     const connection = connections.get(socket.id);
     if (connection && connection.activityIds.has(activityId)) {
-      console.log(`⚠️ User already in activity ${activityId}`);
-      return;
+      console.log(`⚠️ User already in activity ${activityId}, resyncing`);
+      const activity = await Activity.findOne({ id: activityId });
+      if (!activity) {
+        throw rejectJoin(activityId, 'not_found', 'Activity not found');
+      }
+      return {
+        activityId,
+        alreadyJoined: true,
+        liveSession: liveSession.getLiveSessionState(activity),
+        sync: await sendActivitySync(activity, sinceVersion)
+      };
+    }
+
+    // Check draft status and sequence enrollment before joining the room
+    let activity;
+    let access;
+    try {
+      activity = await Activity.findOne({ id: activityId });
+      if (!activity) {
+        throw rejectJoin(activityId, 'not_found', 'Activity not found');
+      }
+      access = await checkActivityAccess(activity, socket.data.user, sequenceId);
+    } catch (error) {
+      if (error instanceof ServiceError) throw error;
+      console.error(`❌ Error checking access for activity ${activityId}: ${error.message}`);
+      throw rejectJoin(activityId, 'service_unavailable', 'Could not join activity. Please try again.');
+    }
+
+    if (!access.allowed) {
+      throw rejectJoin(activityId, access.reason, access.message);
+    }
+
+    const displayName = access.username || username || socket.data.user.name;
+
+    // Save the participant first; submissions fail without it
+    try {
+      await activity.addParticipant(userId, displayName);
+      console.log(`💾 Added participant ${displayName} to database`);
+    } catch (error) {
+      console.error(`❌ Error adding participant to activity ${activityId}: ${error.message}`);
+      throw rejectJoin(activityId, 'service_unavailable', 'Could not join activity. Please try again.');
     }
     
     // Update connection tracking
@@ -358,43 +600,117 @@ io.on('connection', (socket) => {
       connection.activityIds.add(activityId);
     }
     
-    // Add to activity participants
-    if (!activities.has(activityId)) {
-      activities.set(activityId, new Set());
-    }
-    activities.get(activityId).add(userId);
+    // Add to activity participants (another tab may already have this user listed)
+    const presentBefore = await safePresenceOperation(() => presence.getParticipants(activityId), []);
+    await safePresenceOperation(() => presence.addParticipant(activityId, userId, socket.id, { username: displayName }));
     
     socket.join(activityId);
     
-    // Update database
-    await safeDbOperation(async () => {
-      const activity = await Activity.findOne({ id: activityId });
-      if (activity) {
-        await activity.addParticipant(userId, username);
-        console.log(`💾 Added participant ${username} to database`);
-      }
-    });
-    
     // Notify participants
-    const participantIds = Array.from(activities.get(activityId) || []);
-    io.to(activityId).emit('participant_joined', {
-      participant: {
-        id: userId,
-        username: username,
-        isConnected: true,
-        hasSubmitted: false,
-        joinedAt: new Date()
-      }
+    const record = activity.participants.find(p => p.id === userId);
+    const participant = {
+      id: userId,
+      username: displayName,
+      isConnected: true,
+      hasSubmitted: !!record?.hasSubmitted,
+      joinedAt: record?.joinedAt || new Date()
+    };
+    if (!presentBefore.includes(userId)) {
+      io.to(activityId).emit('participant_joined', { participant });
+      console.log(`📢 Notified ${presentBefore.length} participants about join`);
+    }
+
+    // Who is here right now, for the late joiner
+    const presenceList = await safePresenceOperation(() => presence.getPresence(activityId), []);
+    socket.emit('presence_snapshot', {
+      activityId,
+      participants: presenceList.map(entry => ({
+        ...entry,
+        hasSubmitted: !!activity.participants.find(p => p.id === entry.userId)?.hasSubmitted
+      }))
     });
-    
-    console.log(`📢 Notified ${participantIds.length} participants about join`);
-  });
+
+    // Catch the client up on anything it missed (or send the full state on first join),
+    // including the facilitator's current reveal/lock/timer phase
+    return {
+      activityId,
+      participant,
+      liveSession: liveSession.getLiveSessionState(activity),
+      sync: await sendActivitySync(activity, sinceVersion)
+    };
+  }));
+
+  // Resync a joined activity, e.g. after a version gap or a reconnect
+  socket.on('sync_request', withAck('sync_request', async ({ activityId, sinceVersion }) => {
+    if (!isInActivity(activityId)) {
+      console.log(`⚠️ User ${socket.data.user.id} requested sync without joining activity ${activityId}`);
+      throw new ServiceError('not_joined', 'Join the activity before requesting a sync');
+    }
+
+    if (!isMongoConnected || !Activity) {
+      throw serviceUnavailable();
+    }
+
+    const activity = await Activity.findOne({ id: activityId });
+    if (!activity) {
+      throw new ServiceError('not_found', 'Activity not found', 404);
+    }
+    return sendActivitySync(activity, sinceVersion);
+  }));
+
+  // Join a sequence room to receive live progression and membership events
+  socket.on('join_sequence', withAck('join_sequence', async ({ sequenceId }) => {
+    const reject = (reason, message) => {
+      console.log(`🚫 Sequence join rejected for ${socket.data.user.id} on ${sequenceId}: ${reason}`);
+      socket.emit('join_rejected', { sequenceId, reason, message });
+      return new ServiceError(reason, message);
+    };
+
+    if (!isMongoConnected || !Sequence) {
+      throw reject('service_unavailable', 'Server is temporarily unavailable. Please try again shortly.');
+    }
+
+    let sequence;
+    try {
+      sequence = await Sequence.findOne({ id: sequenceId });
+    } catch (error) {
+      console.error(`❌ Error joining sequence ${sequenceId}: ${error.message}`);
+      throw reject('service_unavailable', 'Could not join sequence. Please try again.');
+    }
+
+    if (!sequence) {
+      throw reject('not_found', 'Sequence not found');
+    }
+
+    const access = checkSequenceAccess(sequence, socket.data.user);
+    if (!access.allowed) {
+      throw reject(access.reason, access.message);
+    }
+
+    socket.join(sequenceRoom(sequenceId));
+    console.log(`👋 User ${socket.data.user.id} joined sequence room ${sequenceId}`);
+
+    // Send the current state so the client doesn't need a separate fetch
+    const state = {
+      sequenceId,
+      status: sequence.status,
+      ...sequence.getGraph()
+    };
+    socket.emit('sequence_joined', state);
+    return state;
+  }));
+
+  socket.on('leave_sequence', withAck('leave_sequence', async ({ sequenceId }) => {
+    socket.leave(sequenceRoom(sequenceId));
+    return { sequenceId };
+  }));
 
   // Leave activity
-  socket.on('leave_activity', async ({ activityId, userId }) => {
+  socket.on('leave_activity', withAck('leave_activity', async ({ activityId }) => {
+    const userId = socket.data.user.id;
     const operationKey = `leave_${activityId}_${userId}`;
     if (operationsInProgress.has(operationKey)) {
-      return;
+      return { activityId };
     }
     
     operationsInProgress.add(operationKey);
@@ -407,102 +723,166 @@ io.on('connection', (socket) => {
         connection.activityIds.delete(activityId);
       }
       
-      if (activities.has(activityId)) {
-        activities.get(activityId).delete(userId);
-        if (activities.get(activityId).size === 0) {
-          activities.delete(activityId);
-        }
-      }
+      await safePresenceOperation(() => presence.removeParticipant(activityId, socket.id));
       
+      clearPreview(activityId);
+      clearTypingTimer(activityId);
       socket.leave(activityId);
       
-      // Update database
-      await safeDbOperation(async () => {
-        const activity = await Activity.findOne({ id: activityId });
-        if (activity) {
-          await activity.updateParticipantConnection(userId, false);
-        }
-      });
-      
-      // Notify participants
-      io.to(activityId).emit('participant_left', {
-        participantId: userId
-      });
-      
-    } catch (error) {
-      console.error(`❌ Error in leave_activity: ${error.message}`);
+      // Leaving on purpose skips the grace period
+      await announceParticipantLeft(activityId, userId);
+
+      return { activityId };
     } finally {
       operationsInProgress.delete(operationKey);
     }
-  });
+  }));
+
+  // Tell the client why a submission was refused; returns the error to throw
+  const rejectSubmission = (activityId, type, error) => {
+    const rejection = error instanceof ServiceError
+      ? error
+      : new ServiceError('internal_error', `Failed to submit ${type}`, 500);
+    if (!(error instanceof ServiceError)) {
+      console.error(`❌ Error submitting ${type}: ${error.message}`);
+    }
+    socket.emit('submission_rejected', {
+      activityId,
+      type,
+      code: rejection.code,
+      message: rejection.message
+    });
+    return rejection;
+  };
 
   // Submit rating
-  socket.on('submit_rating', async ({ activityId, userId, position, objectName, slotNumber, timestamp }) => {
+  socket.on('submit_rating', withAck('submit_rating', async ({ activityId, position, objectName, slotNumber, questionId }) => {
+    const userId = socket.data.user.id;
+    if (!isInActivity(activityId)) {
+      console.log(`⚠️ User ${userId} submitted rating without joining activity ${activityId}`);
+      throw rejectSubmission(activityId, 'rating', new ServiceError('not_joined', 'Join the activity before submitting'));
+    }
+
+    if (!isMongoConnected) {
+      throw rejectSubmission(activityId, 'rating', serviceUnavailable());
+    }
+
     try {
       console.log(`⭐ User ${userId} submitting rating for activity ${activityId} (slot ${slotNumber || 1})`);
-
-      // Update database
-      let newRating = null;
-      await safeDbOperation(async () => {
-        const activity = await Activity.findOne({ id: activityId });
-        if (activity) {
-          const participant = activity.participants.find(p => p.id === userId);
-          if (participant) {
-            const updatedActivity = await activity.addRating(userId, participant.username, position, objectName, slotNumber || 1);
-            newRating = updatedActivity.ratings.find(r => r.userId === userId && r.slotNumber === (slotNumber || 1));
-            console.log(`💾 Rating saved to database for user ${userId}, slot ${slotNumber || 1}`);
-          }
-        }
-      });
-      
-      // Broadcast to activity participants
-      if (newRating) {
-        io.to(activityId).emit('rating_added', {
-          rating: newRating
-        });
-        console.log(`📢 Rating broadcast to activity ${activityId}`);
-      }
-      
+      const { rating } = await submitRating(io, { activityId, userId, position, objectName, slotNumber, questionId });
+      console.log(`📢 Rating broadcast to activity ${activityId}`);
+      // The saved rating replaces the drag preview
+      clearPreview(activityId);
+      return rating;
     } catch (error) {
-      console.error(`❌ Error submitting rating: ${error.message}`);
+      throw rejectSubmission(activityId, 'rating', error);
     }
-  });
+  }));
 
   // Submit comment
-  socket.on('submit_comment', async ({ activityId, userId, text, objectName, slotNumber, timestamp }) => {
+  socket.on('submit_comment', withAck('submit_comment', async ({ activityId, text, objectName, slotNumber, questionId }) => {
+    const userId = socket.data.user.id;
+    if (!isInActivity(activityId)) {
+      console.log(`⚠️ User ${userId} submitted comment without joining activity ${activityId}`);
+      throw rejectSubmission(activityId, 'comment', new ServiceError('not_joined', 'Join the activity before submitting'));
+    }
+
+    if (!isMongoConnected) {
+      throw rejectSubmission(activityId, 'comment', serviceUnavailable());
+    }
+
     try {
       console.log(`💬 User ${userId} submitting comment for activity ${activityId} (slot ${slotNumber || 1})`);
-
-      // Update database
-      let newComment = null;
-      await safeDbOperation(async () => {
-        const activity = await Activity.findOne({ id: activityId });
-        if (activity) {
-          const participant = activity.participants.find(p => p.id === userId);
-          if (participant) {
-            const updatedActivity = await activity.addComment(userId, participant.username, text, objectName, slotNumber || 1);
-            newComment = updatedActivity.comments.find(c => c.userId === userId && c.slotNumber === (slotNumber || 1));
-            console.log(`💾 Comment saved to database for user ${userId}, slot ${slotNumber || 1}`);
-          }
-        }
-      });
-      
-      // Broadcast to activity participants
-      if (newComment) {
-        io.to(activityId).emit('comment_added', {
-          comment: newComment
-        });
-        console.log(`📢 Comment broadcast to activity ${activityId}`);
+      const { comment } = await submitComment(io, { activityId, userId, text, objectName, slotNumber, questionId });
+      console.log(`📢 Comment broadcast to activity ${activityId}`);
+      if (typingTimers.has(activityId)) {
+        await safePresenceOperation(() => updatePresence(activityId, { typing: false }));
       }
-      
+      return comment;
     } catch (error) {
-      console.error(`❌ Error submitting comment: ${error.message}`);
+      throw rejectSubmission(activityId, 'comment', error);
+    }
+  }));
+
+  // Presence details: { status: 'active' | 'idle', typing, editingSlot }
+  socket.on('presence_update', withAck('presence_update', async ({ activityId, status, typing, editingSlot }) => {
+    if (!isInActivity(activityId)) {
+      throw new ServiceError('not_joined', 'Join the activity before updating presence');
+    }
+
+    // false: the presence store failed (already logged)
+    const participant = await safePresenceOperation(() => updatePresence(activityId, { status, typing, editingSlot }), false);
+    if (participant === false) {
+      throw new ServiceError('presence_unavailable', 'Presence is temporarily unavailable, please try again');
     }
+    if (!participant) {
+      throw new ServiceError('not_joined', 'Join the activity before updating presence');
+    }
+    return participant;
+  }));
+
+  // Live drag preview (activities with livePreview enabled).
+  // Send { position: null } when the drag ends without saving.
+  socket.on('position_preview', withAck('position_preview', async ({ activityId, position, slotNumber, questionId }) => {
+    if (!isInActivity(activityId)) {
+      throw new ServiceError('not_joined', 'Join the activity before sending previews');
+    }
+
+    if (!isMongoConnected) {
+      throw serviceUnavailable();
+    }
+
+    const previewState = await getLivePreviewState(activityId);
+    if (!previewState.enabled) {
+      throw new ServiceError('preview_disabled', 'Live preview is turned off for this activity');
+    }
+
+    // Previews would show others' placements while entries are hidden
+    if (!previewState.revealed) {
+      previewThrottle.cancel(activityId);
+      return { hidden: true };
+    }
+
+    if (position === null) {
+      clearPreview(activityId);
+      return { cleared: true };
+    }
+
+    if (!position || typeof position.x !== 'number' || typeof position.y !== 'number' ||
+        position.x < 0 || position.x > 1 || position.y < 0 || position.y > 1) {
+      throw new ServiceError('invalid_position', 'Position coordinates must be between 0 and 1');
+    }
+
+    const sent = previewThrottle.push(activityId, {
+      activityId,
+      userId: socket.data.user.id,
+      position: { x: position.x, y: position.y },
+      slotNumber: slotNumber ?? 1,
+      questionId: questionId || null
+    });
+    return { throttled: !sent };
+  }));
+
+  // Facilitator session controls. Each change is saved on the activity and
+  // broadcast to the room as session_updated.
+  const sessionControl = (eventName, action) => withAck(eventName, async (payload) => {
+    if (!isMongoConnected || !Activity) {
+      throw serviceUnavailable();
+    }
+    return action(io, socket.data.user, payload);
   });
 
+  socket.on('session_reveal', sessionControl('session_reveal', liveSession.setRevealed));
+  socket.on('session_lock', sessionControl('session_lock', liveSession.setLocked));
+  socket.on('session_timer', sessionControl('session_timer', liveSession.setTimer));
+  socket.on('session_spotlight', sessionControl('session_spotlight', liveSession.setSpotlight));
+  socket.on('session_advance', sessionControl('session_advance', liveSession.advanceToNextActivity));
+
   // Handle disconnection
   socket.on('disconnect', async () => {
     connectionCount--;
+    previewThrottle.cancelAll();
+    clearTypingTimers();
     console.log(`❌ User disconnected: ${socket.id} (Total: ${connectionCount})`);
     
     const connection = connections.get(socket.id);
@@ -512,25 +892,16 @@ io.on('connection', (socket) => {
       // Update all activities this user was in
       for (const activityId of connection.activityIds) {
         try {
-          if (activities.has(activityId)) {
-            activities.get(activityId).delete(userId);
-            if (activities.get(activityId).size === 0) {
-              activities.delete(activityId);
-            }
-          }
-          
-          // Update database
-          await safeDbOperation(async () => {
-            const activity = await Activity.findOne({ id: activityId });
-            if (activity) {
-              await activity.updateParticipantConnection(userId, false);
-            }
-          });
+          clearPreview(activityId);
+
+          await safePresenceOperation(() => presence.removeParticipant(activityId, socket.id));
           
-          // Notify participants
-          io.to(activityId).emit('participant_left', {
-            participantId: userId
-          });
+          // Wait before announcing so a quick reconnect doesn't flicker
+          setTimeout(() => {
+            announceParticipantLeft(activityId, userId).catch(error => {
+              console.error(`❌ Error announcing departure from activity ${activityId}:`, error.message);
+            });
+          }, PRESENCE_GRACE_MS);
           
         } catch (error) {
           console.error(`❌ Error processing disconnect for activity ${activityId}:`, error.message);
@@ -538,14 +909,26 @@ io.on('connection', (socket) => {
       }
     }
     
+    await safePresenceOperation(() => presence.removeConnection(socket.id));
     connections.delete(socket.id);
   });
 });
 
-// Start server
+// Start server once the adapter and presence store are ready
 const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`🚀 We All Explain WebSocket server running on port ${PORT}`);
-  console.log(`📊 MongoDB connected: ${isMongoConnected}`);
-  console.log(`🌐 CORS origins: ${allowedOrigins.join(', ')}`);
-});
\ No newline at end of file
+setupCluster(io)
+  .then((result) => {
+    cluster = result;
+    presence = result.presence;
+    console.log(`🔗 Socket adapter: ${result.adapter} (instance ${result.instanceId})`);
+
+    server.listen(PORT, () => {
+      console.log(`🚀 We All Explain WebSocket server running on port ${PORT}`);
+      console.log(`📊 MongoDB connected: ${isMongoConnected}`);
+      console.log(`🌐 CORS origins: ${allowedOrigins.join(', ')}`);
+    });
+  })
+  .catch((error) => {
+    console.error('❌ Failed to set up the socket adapter:', error.message);
+    process.exit(1);
+  });
\ No newline at end of file